@@ -3,6 +3,21 @@ const {themes} = require('prism-react-renderer');
 const lightCodeTheme = themes.github;
 const darkCodeTheme = themes.dracula;
 
+const fs = require('fs');
+const path = require('path');
+
+// Protocol releases cut by scripts/sync-protocol-docs.js --cut-version, newest first
+const versionsFile = path.join(__dirname, 'versions.json');
+const versions = fs.existsSync(versionsFile) ? JSON.parse(fs.readFileSync(versionsFile, 'utf8')) : [];
+
+// Shared with the marketing site build (scripts/lib/i18n.js)
+const siteLocales = require('../locales/locales.json');
+// Set by Docusaurus while it builds each locale
+const currentLocale = process.env.DOCUSAURUS_CURRENT_LOCALE || siteLocales.defaultLocale;
+const homeUrl = currentLocale === siteLocales.defaultLocale
+  ? 'https://olocus.com'
+  : `https://olocus.com/${currentLocale}/`;
+
 /** @type {import('@docusaurus/types').Config} */
 const config = {
   title: 'Olocus Protocol',
@@ -18,9 +33,14 @@ const config = {
   onBrokenLinks: 'warn',
   onBrokenMarkdownLinks: 'warn',
   
+  // Non-default locales are served from /docs/<locale>/; docs without a
+  // translation under i18n/<locale>/ fall back to the English source
   i18n: {
-    defaultLocale: 'en',
-    locales: ['en'],
+    defaultLocale: siteLocales.defaultLocale,
+    locales: Object.keys(siteLocales.locales),
+    localeConfigs: Object.fromEntries(
+      Object.entries(siteLocales.locales).map(([code, locale]) => [code, {label: locale.name, htmlLang: code}]),
+    ),
   },
 
   markdown: {
@@ -40,11 +60,21 @@ const config = {
           editUrl: 'https://codeberg.org/olocus/protocol/edit/main/',
           showLastUpdateTime: true,
           showLastUpdateAuthor: false,
+          // The newest release is served at /docs/; docs/ itself, synced
+          // nightly from main, moves to /docs/next/ once a release is cut
+          versions: {
+            current: versions.length > 0
+              ? {label: 'Next (unreleased)', path: 'next', banner: 'unreleased'}
+              : {label: 'Next'},
+          },
         },
         theme: {
           customCss: require.resolve('./src/css/custom.css'),
         },
+        // Listed in the site's sitemap index (scripts/build-sitemap.js);
+        // lastmod comes from each doc's git history
         sitemap: {
+          lastmod: 'date',
           changefreq: 'weekly',
           priority: 0.5,
           ignorePatterns: ['/tags/**'],
@@ -74,10 +104,18 @@ const config = {
             label: 'Documentation',
           },
           {
-            href: 'https://olocus.com',
+            href: homeUrl,
             label: 'Home',
             position: 'right',
           },
+          ...(versions.length > 0 ? [{
+            type: 'docsVersionDropdown',
+            position: 'right',
+          }] : []),
+          {
+            type: 'localeDropdown',
+            position: 'right',
+          },
           {
             href: 'https://codeberg.org/olocus/protocol',
             label: 'Codeberg',
@@ -144,13 +182,8 @@ const config = {
         darkTheme: darkCodeTheme,
         additionalLanguages: ['rust', 'toml', 'bash'],
       },
-      algolia: {
-        // Will be set up after initial deployment
-        appId: 'YOUR_APP_ID',
-        apiKey: 'YOUR_API_KEY',
-        indexName: 'olocus',
-        contextualSearch: true,
-      },
+      // Docusaurus keeps the mode in localStorage 'theme', which js/theme.js on
+      // the marketing site shares
       colorMode: {
         defaultMode: 'light',
         disableSwitch: false,
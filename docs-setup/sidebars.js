@@ -1,3 +1,19 @@
+const fs = require('fs');
+const path = require('path');
+
+// Docs scripts/sync-protocol-docs.js generated, by the category its config
+// (sync-protocol-docs.json) puts them in
+const syncedFile = path.join(__dirname, 'sidebars.synced.json');
+const synced = fs.existsSync(syncedFile) ? JSON.parse(fs.readFileSync(syncedFile, 'utf8')) : {};
+
+// `items` followed by the synced docs of `category` they don't already list
+function withSynced(category, items) {
+  const listed = new Set(items.filter(item => typeof item === 'string'));
+  return [...items, ...(synced[category] || []).filter(id => !listed.has(id))];
+}
+
+const syncedExtensions = withSynced('extensions', []);
+
 /** @type {import('@docusaurus/plugin-content-docs').SidebarsConfig} */
 const sidebars = {
   docsSidebar: [
@@ -10,49 +26,49 @@ const sidebars = {
       type: 'category',
       label: '🚀 Getting Started',
       collapsed: false,
-      items: [
+      items: withSynced('getting-started', [
         'getting-started/quickstart',
         'getting-started/installation',
         'getting-started/first-chain',
         'getting-started/understanding-measurements',
         'getting-started/choosing-extensions',
-      ],
+      ]),
     },
     {
       type: 'category',
       label: '📐 Core Concepts',
       collapsed: false,
-      items: [
+      items: withSynced('concepts', [
         'concepts/blocks-and-chains',
         'concepts/measurements',
         'concepts/cryptographic-primitives',
         'concepts/wire-format',
         'concepts/algorithm-negotiation',
         'concepts/downgrade-protection',
-      ],
+      ]),
     },
     {
       type: 'category',
       label: '🏗️ Architecture',
-      items: [
+      items: withSynced('architecture', [
         'architecture/protocol-specification',
         'architecture/design-rationale',
         'architecture/security-model',
         'architecture/formal-verification',
         'architecture/scalability-roadmap',
-      ],
+      ]),
     },
     {
       type: 'category',
       label: '📖 API Reference',
-      items: [
+      items: withSynced('api', [
         'api/core',
         'api/block-operations',
         'api/cryptographic-operations',
         'api/measurement-api',
         'api/wire-format-api',
         'api/error-handling',
-      ],
+      ]),
     },
     {
       type: 'category',
@@ -61,6 +77,12 @@ const sidebars = {
         'extensions/overview',
         'extensions/selection-guide',
         'extensions/creating-extensions',
+        // Every extension's README, once the sync has generated them
+        ...(syncedExtensions.length > 0 ? [{
+          type: 'category',
+          label: '📦 All Extensions',
+          items: syncedExtensions,
+        }] : []),
         {
           type: 'category',
           label: '📍 Location & Spatial',
@@ -0,0 +1,39 @@
+/**
+ * Doc page metadata with structured data
+ *
+ * Wraps the theme's DocItem/Metadata to describe every doc as a
+ * TechArticle published by the organization in templates/ai-context.json,
+ * built by the same module (scripts/lib/structured-data.js) as the marketing
+ * site's JSON-LD. Docusaurus adds the breadcrumbs' BreadcrumbList itself.
+ */
+
+import React from 'react';
+import Head from '@docusaurus/Head';
+import useDocusaurusContext from '@docusaurus/useDocusaurusContext';
+import {useDoc} from '@docusaurus/plugin-content-docs/client';
+import Metadata from '@theme-original/DocItem/Metadata';
+import structuredData from '../../../../../scripts/lib/structured-data';
+import aiContext from '../../../../../templates/ai-context.json';
+
+export default function MetadataWrapper(props) {
+  const {metadata} = useDoc();
+  const {siteConfig, i18n} = useDocusaurusContext();
+
+  const article = structuredData.buildTechArticle(aiContext, {
+    title: metadata.title,
+    description: metadata.description,
+    url: new URL(metadata.permalink, siteConfig.url).href,
+    lang: i18n.currentLocale,
+    // Set from git by showLastUpdateTime in docusaurus.config.js
+    dateModified: metadata.lastUpdatedAt ? new Date(metadata.lastUpdatedAt).toISOString() : undefined,
+  });
+
+  return (
+    <>
+      <Metadata {...props} />
+      <Head>
+        <script type="application/ld+json">{JSON.stringify(article)}</script>
+      </Head>
+    </>
+  );
+}
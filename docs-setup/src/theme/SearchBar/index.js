@@ -0,0 +1,183 @@
+/**
+ * Self-hosted search bar for the docs navbar
+ *
+ * Replaces the Algolia DocSearch bar. It fetches the combined site + docs
+ * index for the current locale that scripts/build-search-index.js writes to
+ * the website root and ranks it with the same engine as the marketing site
+ * header search.
+ */
+
+import React, {useCallback, useEffect, useMemo, useRef, useState} from 'react';
+import Link from '@docusaurus/Link';
+import useBaseUrl from '@docusaurus/useBaseUrl';
+import useDocusaurusContext from '@docusaurus/useDocusaurusContext';
+import engine from '../../../../js/search-engine';
+import styles from './styles.module.css';
+
+const MAX_RESULTS_PER_GROUP = 6;
+
+function Highlighted({text, matches}) {
+  return engine.highlightSegments(text, matches).map((segment, index) =>
+    segment.highlighted ? <mark key={index}>{segment.text}</mark> : segment.text,
+  );
+}
+
+function ResultLink({entry, docsBaseUrl, children, ...props}) {
+  // Docs routes navigate inside the app; site pages need a full page load
+  if (entry.section === 'docs' && entry.url.startsWith(docsBaseUrl)) {
+    return (
+      <Link to={`/${entry.url.slice(docsBaseUrl.length)}`} {...props}>
+        {children}
+      </Link>
+    );
+  }
+  return (
+    <a href={entry.url} {...props}>
+      {children}
+    </a>
+  );
+}
+
+export default function SearchBar() {
+  const [query, setQuery] = useState('');
+  const [index, setIndex] = useState(null);
+  const [error, setError] = useState(false);
+  const [open, setOpen] = useState(false);
+  const [activeIndex, setActiveIndex] = useState(-1);
+  const containerRef = useRef(null);
+  const inputRef = useRef(null);
+  const {i18n} = useDocusaurusContext();
+  // Served from the website root, outside the docs baseUrl
+  const searchIndexUrl = engine.getIndexUrl(i18n.currentLocale);
+  // e.g. /docs/ or /docs/de/, which the index's docs URLs start with
+  const docsBaseUrl = useBaseUrl('/');
+
+  const ensureIndex = useCallback(() => {
+    engine
+      .loadIndex(searchIndexUrl)
+      .then((loaded) => {
+        setIndex(loaded);
+        setError(false);
+      })
+      .catch(() => setError(true));
+  }, [searchIndexUrl]);
+
+  const groups = useMemo(() => {
+    if (!index || !query.trim()) {
+      return [];
+    }
+    return engine.groupResults(engine.search(index, query)).map((group) => ({
+      ...group,
+      results: group.results.slice(0, MAX_RESULTS_PER_GROUP),
+    }));
+  }, [index, query]);
+
+  const flatResults = useMemo(() => groups.flatMap((group) => group.results), [groups]);
+
+  useEffect(() => {
+    setActiveIndex(-1);
+  }, [query]);
+
+  useEffect(() => {
+    function handleClick(event) {
+      if (containerRef.current && !containerRef.current.contains(event.target)) {
+        setOpen(false);
+      }
+    }
+    document.addEventListener('mousedown', handleClick);
+    return () => document.removeEventListener('mousedown', handleClick);
+  }, []);
+
+  function close() {
+    setOpen(false);
+    setQuery('');
+  }
+
+  function handleKeyDown(event) {
+    if (event.key === 'ArrowDown' || event.key === 'ArrowUp') {
+      if (flatResults.length === 0) return;
+      event.preventDefault();
+      setOpen(true);
+      const step = event.key === 'ArrowDown' ? 1 : -1;
+      setActiveIndex((current) => (current + step + flatResults.length) % flatResults.length);
+    } else if (event.key === 'Enter' && activeIndex >= 0) {
+      event.preventDefault();
+      const link = containerRef.current.querySelector(`[data-result-index="${activeIndex}"]`);
+      if (link) link.click();
+    } else if (event.key === 'Escape') {
+      setOpen(false);
+    }
+  }
+
+  const showPanel = open && query.trim().length > 0;
+  let position = -1;
+
+  return (
+    <div className={styles.searchBar} ref={containerRef} role="search">
+      <input
+        ref={inputRef}
+        type="search"
+        className={styles.searchInput}
+        placeholder="Search site & docs"
+        aria-label="Search the Olocus site and documentation"
+        role="combobox"
+        aria-expanded={showPanel}
+        aria-controls="docs-search-results"
+        aria-autocomplete="list"
+        aria-activedescendant={activeIndex >= 0 ? `docs-search-result-${activeIndex}` : undefined}
+        value={query}
+        onFocus={() => {
+          ensureIndex();
+          setOpen(true);
+        }}
+        onChange={(event) => {
+          setQuery(event.target.value);
+          setOpen(true);
+        }}
+        onKeyDown={handleKeyDown}
+      />
+      {showPanel && (
+        <div className={styles.results} id="docs-search-results" role="listbox" aria-label="Search results">
+          {error && <p className={styles.message}>Search is currently unavailable.</p>}
+          {!error && !index && <p className={styles.message}>Loading search index…</p>}
+          {!error && index && flatResults.length === 0 && (
+            <p className={styles.message}>No results for “{query}”</p>
+          )}
+          {groups.map((group) => (
+            <div key={group.section} className={styles.group} role="group" aria-label={`${group.label} results`}>
+              <div className={styles.groupLabel}>{group.label}</div>
+              {group.results.map((result) => {
+                position += 1;
+                const {entry, matches} = result;
+                const isActive = position === activeIndex;
+                return (
+                  <ResultLink
+                    key={entry.id}
+                    entry={entry}
+                    docsBaseUrl={docsBaseUrl}
+                    id={`docs-search-result-${position}`}
+                    data-result-index={position}
+                    role="option"
+                    aria-selected={isActive}
+                    className={isActive ? `${styles.result} ${styles.resultActive}` : styles.result}
+                    onClick={close}>
+                    {entry.type !== 'page' && <span className={styles.resultPage}>{entry.page}</span>}
+                    <span className={styles.resultTitle}>
+                      <Highlighted text={entry.title} matches={matches} />
+                    </span>
+                    <span className={styles.resultExcerpt}>
+                      <Highlighted
+                        text={engine.getExcerpt(entry.content || entry.description, matches)}
+                        matches={matches}
+                      />
+                    </span>
+                  </ResultLink>
+                );
+              })}
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,21 @@
+// Chrome on iOS viewport fix for the homepage
+// theme-color follows the active theme in js/theme.js
+(function() {
+    // Detect Chrome on iOS
+    const isIOS = /iPad|iPhone|iPod/.test(navigator.userAgent) && !window.MSStream;
+    const isChrome = /CriOS/.test(navigator.userAgent); // Chrome on iOS uses CriOS in user agent
+    
+    if (isIOS && isChrome) {
+        document.documentElement.classList.add('chrome-ios');
+        
+        // Fix viewport height for Chrome iOS
+        function setViewportHeight() {
+            const vh = window.innerHeight * 0.01;
+            document.documentElement.style.setProperty('--vh', `${vh}px`);
+        }
+        
+        setViewportHeight();
+        window.addEventListener('resize', setViewportHeight);
+        window.addEventListener('orientationchange', setViewportHeight);
+    }
+})();
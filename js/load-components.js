@@ -1,24 +1,7 @@
-// Function to load HTML components
-async function loadComponent(elementId, filePath) {
-    try {
-        const response = await fetch(filePath);
-        if (!response.ok) {
-            throw new Error(`Failed to load ${filePath}: ${response.status}`);
-        }
-        const html = await response.text();
-        const element = document.getElementById(elementId);
-        if (element) {
-            element.innerHTML = html;
-            return true;
-        }
-        return false;
-    } catch (error) {
-        console.error(`Error loading component ${filePath}:`, error);
-        return false;
-    }
-}
+// Attaches behaviour to the header, footer and page markup that
+// scripts/build-site.js renders into every page
 
-// Function to initialize mobile menu after header loads
+// Function to initialize the mobile menu
 function initializeMobileMenu() {
     const mobileMenuToggle = document.getElementById('mobileMenuToggle');
     const navMenu = document.getElementById('navMenu');
@@ -81,18 +64,130 @@ function initializeMobileMenu() {
     }
 }
 
+// Function to initialize dropdown menus in the navigation
+// Each dropdown is a disclosure: the chevron button toggles the submenu, arrow
+// keys move between its links, Escape or leaving the dropdown closes it
+function initializeNavDropdowns() {
+    const navbar = document.getElementById('navbar');
+    const dropdowns = Array.from(document.querySelectorAll('#navbar .nav-dropdown'));
+    if (!navbar || dropdowns.length === 0) return;
+    
+    // Hover and focus-within only open submenus when this script hasn't run
+    navbar.classList.add('nav-enhanced');
+    
+    const hoverQuery = window.matchMedia('(hover: hover) and (min-width: 769px)');
+    
+    function getToggle(dropdown) {
+        return dropdown.querySelector('.nav-dropdown-toggle');
+    }
+    
+    function getLinks(dropdown) {
+        return Array.from(dropdown.querySelectorAll('.nav-submenu a'));
+    }
+    
+    function setOpen(dropdown, open) {
+        dropdown.classList.toggle('open', open);
+        getToggle(dropdown).setAttribute('aria-expanded', open ? 'true' : 'false');
+    }
+    
+    function closeOthers(current) {
+        dropdowns.forEach(dropdown => {
+            if (dropdown !== current) setOpen(dropdown, false);
+        });
+    }
+    
+    function open(dropdown, focusIndex) {
+        closeOthers(dropdown);
+        setOpen(dropdown, true);
+        if (typeof focusIndex === 'number') {
+            const links = getLinks(dropdown);
+            const link = links[(focusIndex + links.length) % links.length];
+            if (link) link.focus();
+        }
+    }
+    
+    dropdowns.forEach(dropdown => {
+        const toggle = getToggle(dropdown);
+        let closeTimer = null;
+        
+        toggle.addEventListener('click', function() {
+            if (dropdown.classList.contains('open')) {
+                setOpen(dropdown, false);
+            } else {
+                open(dropdown);
+            }
+        });
+        
+        toggle.addEventListener('keydown', function(e) {
+            if (e.key === 'ArrowDown') {
+                e.preventDefault();
+                open(dropdown, 0);
+            } else if (e.key === 'ArrowUp') {
+                e.preventDefault();
+                open(dropdown, -1);
+            }
+        });
+        
+        dropdown.addEventListener('keydown', function(e) {
+            const links = getLinks(dropdown);
+            const index = links.indexOf(e.target);
+            
+            if (e.key === 'Escape' && dropdown.classList.contains('open')) {
+                // Handled here so the mobile menu stays open
+                e.preventDefault();
+                e.stopPropagation();
+                setOpen(dropdown, false);
+                toggle.focus();
+                return;
+            }
+            if (index === -1) return;
+            
+            if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+                e.preventDefault();
+                open(dropdown, index + (e.key === 'ArrowDown' ? 1 : -1));
+            } else if (e.key === 'Home' || e.key === 'End') {
+                e.preventDefault();
+                open(dropdown, e.key === 'Home' ? 0 : -1);
+            }
+        });
+        
+        // Tabbing or clicking out of the dropdown closes it
+        dropdown.addEventListener('focusout', function(e) {
+            if (!dropdown.contains(e.relatedTarget)) {
+                setOpen(dropdown, false);
+            }
+        });
+        
+        dropdown.addEventListener('mouseenter', function() {
+            if (!hoverQuery.matches) return;
+            clearTimeout(closeTimer);
+            open(dropdown);
+        });
+        
+        dropdown.addEventListener('mouseleave', function() {
+            if (!hoverQuery.matches) return;
+            closeTimer = setTimeout(() => {
+                if (!dropdown.contains(document.activeElement)) {
+                    setOpen(dropdown, false);
+                }
+            }, 200);
+        });
+    });
+    
+    document.addEventListener('click', function(e) {
+        dropdowns.forEach(dropdown => {
+            if (!dropdown.contains(e.target)) setOpen(dropdown, false);
+        });
+    });
+}
+
 // Function to initialize navigation scroll effect
+// Colours come from nav.scrolled in css/common.css so they follow the theme
 function initializeNavScroll() {
     window.addEventListener('scroll', function() {
         const nav = document.getElementById('navbar');
         if (nav) {
-            if (window.scrollY > 50) {
-                nav.style.background = 'rgba(18, 18, 18, 0.98)';
-                nav.style.boxShadow = '0 4px 20px rgba(0, 0, 0, 0.3)';
-            } else {
-                nav.style.background = 'rgba(18, 18, 18, 0.95)';
-                nav.style.boxShadow = 'none';
-            }
+            nav.classList.toggle('scrolled', window.scrollY > 50);
         }
     });
 }
@@ -176,17 +271,30 @@ function initializeScrollAnimations() {
 
 // Function to load search functionality
 function loadSearchScript(callback) {
-    const script = document.createElement('script');
-    script.src = '/js/search.js?v=' + Date.now(); // Add cache-busting parameter
-    script.async = true;
-    script.onload = function() {
-        if (callback) callback();
-    };
-    document.head.appendChild(script);
+    // The engine must be evaluated before search.js, which reads it on load;
+    // analytics is opt-in and only records once search.js reports a settled query
+    // Freshness comes from the service worker's precache manifest, not a cache-buster
+    const scripts = ['/js/search-engine.js', '/js/search-analytics.js', '/js/search.js'];
+    
+    function loadNext(index) {
+        if (index >= scripts.length) {
+            if (callback) callback();
+            return;
+        }
+        const script = document.createElement('script');
+        script.src = scripts[index];
+        script.async = true;
+        script.onload = function() {
+            loadNext(index + 1);
+        };
+        document.head.appendChild(script);
+    }
+    
+    loadNext(0);
 }
 
-// Load components when DOM is ready
-document.addEventListener('DOMContentLoaded', async function() {
+// Initialize components when DOM is ready
+document.addEventListener('DOMContentLoaded', function() {
     // Detect iOS standalone mode
     detectIOSStandalone();
     
@@ -199,12 +307,8 @@ document.addEventListener('DOMContentLoaded', async function() {
     // Initialize scroll animations
     initializeScrollAnimations();
     
-    // Load header and footer
-    const headerLoaded = await loadComponent('header-container', '/header.html');
-    await loadComponent('footer-container', '/footer.html');
-    
-    // Load search functionality and initialize after header loads
-    if (headerLoaded) {
+    // Load search functionality and initialize the navigation
+    if (document.getElementById('navbar')) {
         loadSearchScript(function() {
             if (window.setupSearch) {
                 window.setupSearch();
@@ -212,6 +316,7 @@ document.addEventListener('DOMContentLoaded', async function() {
         });
 
         initializeMobileMenu();
+        initializeNavDropdowns();
         initializeNavScroll();
     }
     
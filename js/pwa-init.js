@@ -1,5 +1,9 @@
 // PWA Initialization Script for Olocus
 
+// Update checks: every minute while the tab is visible, backing off while it is hidden
+const UPDATE_CHECK_INTERVAL = 60 * 1000;
+const MAX_HIDDEN_UPDATE_INTERVAL = 30 * 60 * 1000;
+
 // Register service worker
 if ('serviceWorker' in navigator) {
   window.addEventListener('load', () => {
@@ -7,11 +11,8 @@ if ('serviceWorker' in navigator) {
       .then(registration => {
         console.log('ServiceWorker registration successful:', registration.scope);
         
-        // Check for updates periodically
-        setInterval(() => {
-          registration.update();
-        }, 60000); // Check every minute
-        
+        watchForUpdates(registration);
+        scheduleUpdateChecks(registration);
       })
       .catch(error => {
         console.log('ServiceWorker registration failed:', error);
@@ -19,6 +20,106 @@ if ('serviceWorker' in navigator) {
   });
 }
 
+// A new worker waits until every tab on the old one closes; offer to switch now instead
+function watchForUpdates(registration) {
+  // Only reload for a switch this tab asked for, and only once
+  let reloadRequested = false;
+  let reloading = false;
+
+  function activateWaitingWorker() {
+    if (!registration.waiting) return;
+    reloadRequested = true;
+    registration.waiting.postMessage({ type: 'SKIP_WAITING' });
+  }
+
+  // The very first install has no controller - there is nothing to update from
+  if (registration.waiting && navigator.serviceWorker.controller) {
+    showUpdateToast(activateWaitingWorker);
+  }
+
+  registration.addEventListener('updatefound', () => {
+    const installing = registration.installing;
+    if (!installing) return;
+    installing.addEventListener('statechange', () => {
+      if (installing.state === 'installed' && navigator.serviceWorker.controller) {
+        showUpdateToast(activateWaitingWorker);
+      }
+    });
+  });
+
+  navigator.serviceWorker.addEventListener('controllerchange', () => {
+    if (reloading) return;
+    if (reloadRequested) {
+      reloading = true;
+      window.location.reload();
+      return;
+    }
+    // Another tab activated the new version; this page is still running the old one
+    showUpdateToast(() => {
+      reloading = true;
+      window.location.reload();
+    });
+  });
+}
+
+function scheduleUpdateChecks(registration) {
+  let delay = UPDATE_CHECK_INTERVAL;
+  let timer = null;
+
+  function check() {
+    registration.update().catch(error => {
+      console.log('ServiceWorker update check failed:', error);
+    });
+  }
+
+  function schedule() {
+    clearTimeout(timer);
+    timer = setTimeout(() => {
+      check();
+      // Hidden tabs double the wait each time, up to the cap
+      delay = document.hidden
+        ? Math.min(delay * 2, MAX_HIDDEN_UPDATE_INTERVAL)
+        : UPDATE_CHECK_INTERVAL;
+      schedule();
+    }, delay);
+  }
+
+  document.addEventListener('visibilitychange', () => {
+    if (document.hidden) return;
+    // Catch up straight away when the visitor comes back
+    delay = UPDATE_CHECK_INTERVAL;
+    check();
+    schedule();
+  });
+
+  schedule();
+}
+
+// Polite, non-modal notice; focus stays where the visitor left it. The
+// markup comes with the page (templates/partials/update-toast.html), so its
+// text is in the page's language.
+function showUpdateToast(onReload) {
+  const toast = document.getElementById('pwa-update-toast');
+  if (!toast || !toast.hidden) return;
+
+  const message = toast.querySelector('.pwa-update-message');
+  const reloadingMessage = toast.querySelector('.pwa-update-reloading');
+  const reloadButton = toast.querySelector('.pwa-update-reload');
+
+  // Handlers are assigned rather than added, so showing the notice again doesn't stack them
+  reloadButton.onclick = () => {
+    reloadButton.disabled = true;
+    message.hidden = true;
+    reloadingMessage.hidden = false;
+    onReload();
+  };
+  toast.querySelector('.pwa-update-dismiss').onclick = () => {
+    toast.hidden = true;
+  };
+
+  toast.hidden = false;
+}
+
 // Handle PWA install prompt
 let deferredPrompt;
 window.addEventListener('beforeinstallprompt', (e) => {
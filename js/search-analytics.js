@@ -0,0 +1,243 @@
+// Opt-in, privacy-preserving search analytics for the Olocus website
+//
+// Nothing is recorded unless the visitor has opted in (see the search analytics
+// setting on /privacy), an endpoint is configured and the browser does not
+// send Global Privacy Control or Do Not Track. Search terms never leave the
+// device: the bucket only remembers whether a search returned no results that
+// day and, if one did, which of a fixed number of slots its most specific
+// term hashes into. Once a day the bucket is flushed through randomized
+// response - every slot is reported as searched with a probability that
+// barely depends on whether it was, and the no-results flag is flipped at
+// random - so each bucket is epsilon-differentially private on its own (local
+// differential privacy). The bucket also carries a random client id that
+// rotates every clientIdMaxAgeMs so the report can count distinct clients.
+//
+// Configure before this script loads:
+//   window.OLOCUS_SEARCH_ANALYTICS = { endpoint: 'http://localhost:8787/api/search-analytics' };
+(function() {
+    // search.html loads this directly and again through the header search
+    if (window.OlocusSearchAnalytics) return;
+
+    const CONSENT_KEY = 'olocus-search-analytics-consent';
+    const BUCKET_KEY = 'olocus-search-analytics-bucket';
+    const CLIENT_KEY = 'olocus-search-analytics-client';
+    const SCHEMA_VERSION = 3;
+
+    const DEFAULT_CONFIG = {
+        // No endpoint means analytics stay off even with consent
+        endpoint: '',
+        // Privacy budget per flushed bucket; lower adds more noise. The report
+        // script's --simulate option shows what a change does to the audience
+        // a term needs before it can be reported.
+        epsilon: 6,
+        // Share of epsilon spent on the slots; the rest protects the no-results flag
+        slotEpsilonShare: 5 / 6,
+        flushIntervalMs: 24 * 60 * 60 * 1000,
+        clientIdMaxAgeMs: 7 * 24 * 60 * 60 * 1000,
+        // Must match SLOTS in scripts/search-analytics-server.js
+        slots: 4096,
+        maxTermLength: 32
+    };
+
+    const config = Object.assign({}, DEFAULT_CONFIG, window.OLOCUS_SEARCH_ANALYTICS || {});
+
+    function hasConsent() {
+        try {
+            return localStorage.getItem(CONSENT_KEY) === 'granted';
+        } catch (error) {
+            return false;
+        }
+    }
+
+    function isEnabled() {
+        if (!config.endpoint || !hasConsent()) return false;
+        // Browser-level opt-out signals always win over the site setting
+        if (navigator.globalPrivacyControl === true) return false;
+        if (navigator.doNotTrack === '1' || window.doNotTrack === '1') return false;
+        return true;
+    }
+
+    function setConsent(granted) {
+        try {
+            if (granted) {
+                localStorage.setItem(CONSENT_KEY, 'granted');
+            } else {
+                localStorage.removeItem(CONSENT_KEY);
+                localStorage.removeItem(BUCKET_KEY);
+                localStorage.removeItem(CLIENT_KEY);
+            }
+        } catch (error) {
+            console.warn('Search analytics preference could not be saved:', error);
+        }
+    }
+
+    // zeroResultSlot is the slot of the day's first search that returned
+    // nothing, or null
+    function newBucket() {
+        return { schema: SCHEMA_VERSION, startedAt: Date.now(), searches: 0, zeroResultSlot: null };
+    }
+
+    function readBucket() {
+        try {
+            const bucket = JSON.parse(localStorage.getItem(BUCKET_KEY));
+            // Older buckets held raw terms or several slots - start over rather than send them
+            return bucket && bucket.schema === SCHEMA_VERSION ? bucket : newBucket();
+        } catch (error) {
+            return newBucket();
+        }
+    }
+
+    function writeBucket(bucket) {
+        try {
+            localStorage.setItem(BUCKET_KEY, JSON.stringify(bucket));
+        } catch (error) {
+            // Storage full or blocked - drop the data rather than keep it in memory
+        }
+    }
+
+    // Random id for this install, replaced once it is clientIdMaxAgeMs old so
+    // buckets can only be linked to each other within that window
+    function getClientId() {
+        try {
+            const stored = JSON.parse(localStorage.getItem(CLIENT_KEY));
+            if (stored && Date.now() - stored.createdAt < config.clientIdMaxAgeMs) return stored.id;
+        } catch (error) {
+            // Fall through and create a new id
+        }
+
+        const bytes = new Uint8Array(16);
+        crypto.getRandomValues(bytes);
+        const id = Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+        try {
+            localStorage.setItem(CLIENT_KEY, JSON.stringify({ id, createdAt: Date.now() }));
+        } catch (error) {
+            // An unsaved id only means the next bucket counts as another client
+        }
+        return id;
+    }
+
+    // Split a query into terms, discarding anything that could identify a person
+    function toTerms(query) {
+        return Array.from(new Set(
+            query.toLowerCase()
+                .split(/[^\p{L}\p{N}]+/u)
+                .filter(term =>
+                    term.length >= 2 &&
+                    term.length <= config.maxTermLength &&
+                    // Long digit runs look like phone, card or account numbers
+                    !/\d{4,}/.test(term)
+                )
+        ));
+    }
+
+    // FNV-1a over the term's UTF-8 bytes; scripts/search-analytics-report.js
+    // hashes candidate terms the same way to name the slots
+    function toSlot(term) {
+        let hash = 0x811c9dc5;
+        new TextEncoder().encode(term).forEach(byte => {
+            hash = Math.imul(hash ^ byte, 0x01000193) >>> 0;
+        });
+        return hash % config.slots;
+    }
+
+    function record(query, resultCount) {
+        if (!isEnabled() || !query) return;
+
+        const terms = toTerms(query);
+        if (terms.length === 0) return;
+
+        const bucket = readBucket();
+        bucket.searches++;
+        // One slot a day keeps the noise each bucket needs small. The longest
+        // term is the most specific one, and rarely a word like "how" or "the".
+        if (resultCount === 0 && bucket.zeroResultSlot === null) {
+            bucket.zeroResultSlot = toSlot(terms.reduce((longest, term) => term.length > longest.length ? term : longest));
+        }
+
+        writeBucket(bucket);
+        flush();
+    }
+
+    // Uniform random numbers in [0, 1)
+    function randomValues(count) {
+        const values = new Uint32Array(count);
+        crypto.getRandomValues(values);
+        return Array.from(values, value => value / 4294967296);
+    }
+
+    // Optimised unary encoding: the searched slot is reported with probability
+    // 1/2 and every other slot with probability 1 / (e^epsilon + 1). Buckets
+    // hold at most one slot, so two buckets differ in at most two slots and
+    // the vector is epsilon-differentially private. The flag uses plain
+    // randomized response with the rest of the budget.
+    function toPayload(bucket) {
+        const slotEpsilon = config.epsilon * config.slotEpsilonShare;
+        const slotNoise = 1 / (Math.exp(slotEpsilon) + 1);
+        const dayNoise = 1 / (Math.exp(config.epsilon - slotEpsilon) + 1);
+        const random = randomValues(config.slots + 1);
+        const zeroResultDay = bucket.zeroResultSlot !== null;
+
+        return {
+            schema: SCHEMA_VERSION,
+            client: getClientId(),
+            // Day granularity only - no timestamps that could link buckets to visits
+            period: new Date(bucket.startedAt).toISOString().slice(0, 10),
+            epsilon: config.epsilon,
+            // The report needs both probabilities to tell signal from noise
+            zeroResultsNoise: slotNoise,
+            zeroResultDayNoise: dayNoise,
+            // Only the slots reported as searched are sent; about slots / (e^epsilon + 1) of them
+            zeroResults: random.slice(0, config.slots).reduce((slots, value, slot) => {
+                if (value < (slot === bucket.zeroResultSlot ? 0.5 : slotNoise)) slots.push(slot);
+                return slots;
+            }, []),
+            zeroResultDay: (random[config.slots] < dayNoise) !== zeroResultDay ? 1 : 0
+        };
+    }
+
+    // Send the bucket once it has aggregated a full interval, or immediately when forced
+    function flush(force) {
+        if (!isEnabled()) return false;
+
+        const bucket = readBucket();
+        if (bucket.searches === 0) return false;
+        if (!force && Date.now() - bucket.startedAt < config.flushIntervalMs) return false;
+
+        // text/plain keeps the beacon a simple CORS request for cross-origin collectors
+        const body = new Blob([JSON.stringify(toPayload(bucket))], { type: 'text/plain' });
+        const sent = navigator.sendBeacon
+            ? navigator.sendBeacon(config.endpoint, body)
+            : (fetch(config.endpoint, { method: 'POST', body, keepalive: true, credentials: 'omit' }), true);
+
+        if (sent) writeBucket(newBucket());
+        return sent;
+    }
+
+    // Checkboxes marked data-search-analytics-consent control the opt-in
+    function bindConsentControls() {
+        document.querySelectorAll('[data-search-analytics-consent]').forEach(control => {
+            control.checked = hasConsent();
+            control.addEventListener('change', function() {
+                setConsent(control.checked);
+            });
+        });
+    }
+
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', bindConsentControls);
+    } else {
+        bindConsentControls();
+    }
+
+    window.addEventListener('pagehide', function() {
+        flush();
+    });
+
+    window.OlocusSearchAnalytics = {
+        record,
+        flush,
+        setConsent,
+        hasConsent,
+        isEnabled
+    };
+})();
@@ -0,0 +1,350 @@
+// Search engine shared by the site header search and the docs search bar
+// Loaded as a plain script (exposes window.OlocusSearchEngine) or required as a CommonJS module
+(function(root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.OlocusSearchEngine = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function() {
+    // Written into search-index.json by scripts/build-search-index.js; bump when the entry shape changes
+    const INDEX_VERSION = 2;
+
+    // Site locale whose index is search-index.json; matches locales/locales.json
+    const DEFAULT_LOCALE = 'en';
+
+    // Result groups, in the order they are shown when scores tie
+    const SECTION_LABELS = {
+        site: 'Site',
+        docs: 'Docs'
+    };
+
+    // Field weights for ranking - a title hit outranks the same word in body text
+    const FIELD_WEIGHTS = {
+        title: 10,
+        keywords: 6,
+        headings: 4,
+        description: 3,
+        content: 1
+    };
+
+    // Match quality for the ways a query term can hit a word in the index
+    const MATCH_QUALITY = {
+        exact: 1,
+        prefix: 0.7,
+        fuzzy: 0.5
+    };
+
+    // Results scoring below this fraction of the best match are treated as noise
+    const MIN_RELATIVE_SCORE = 0.05;
+
+    // Ignored in multi-word queries so they do not dilute the ranking
+    const STOP_WORDS = new Set(['a', 'an', 'and', 'are', 'for', 'how', 'in', 'is', 'of', 'on', 'or', 'the', 'to', 'with']);
+
+    // Pick the excerpt window that covers the most distinct matched terms
+    function getExcerpt(content, matches) {
+        const regex = buildMatchRegex(matches);
+        const positions = [];
+        let match;
+        
+        if (regex) {
+            while ((match = regex.exec(content)) !== null && positions.length < 200) {
+                positions.push({ index: match.index + match[1].length, term: match[2].toLowerCase() });
+            }
+        }
+        
+        if (positions.length === 0) {
+            return content.length > 100 ? content.substring(0, 100) + '...' : content;
+        }
+        
+        let best = positions[0];
+        let bestCount = 0;
+        positions.forEach(position => {
+            const terms = new Set();
+            positions.forEach(other => {
+                if (other.index >= position.index && other.index - position.index <= 100) {
+                    terms.add(other.term);
+                }
+            });
+            if (terms.size > bestCount) {
+                best = position;
+                bestCount = terms.size;
+            }
+        });
+        
+        const start = Math.max(0, best.index - 40);
+        const end = Math.min(content.length, best.index + 120);
+        let excerpt = content.substring(start, end);
+        
+        if (start > 0) excerpt = '...' + excerpt;
+        if (end < content.length) excerpt = excerpt + '...';
+        
+        return excerpt;
+    }
+
+    // Matches whole words only; group 1 is the preceding boundary, group 2 the word
+    function buildMatchRegex(matches) {
+        if (!matches || matches.length === 0) return null;
+        const alternatives = matches
+            .slice()
+            .sort((a, b) => b.length - a.length)
+            .map(escapeRegex)
+            .join('|');
+        return new RegExp(`(^|[^\\p{L}\\p{N}])(${alternatives})(?=[^\\p{L}\\p{N}]|$)`, 'giu');
+    }
+
+    // Split text into plain and matched runs so renderers can build highlights
+    // with text nodes instead of HTML strings
+    function highlightSegments(text, matches) {
+        const segments = [];
+        const regex = buildMatchRegex(matches);
+        let lastIndex = 0;
+        let match;
+
+        text = text || '';
+        if (regex) {
+            while ((match = regex.exec(text)) !== null) {
+                const start = match.index + match[1].length;
+                if (start > lastIndex) segments.push({ text: text.slice(lastIndex, start), highlighted: false });
+                segments.push({ text: match[2], highlighted: true });
+                lastIndex = start + match[2].length;
+            }
+        }
+        if (lastIndex < text.length) segments.push({ text: text.slice(lastIndex), highlighted: false });
+        return segments;
+    }
+
+    function tokenize(text) {
+        return (text || '').toLowerCase().split(/[^\p{L}\p{N}]+/u).filter(Boolean);
+    }
+
+    function prepareEntry(entry) {
+        const tokens = {
+            title: new Set(tokenize(entry.title)),
+            keywords: new Set(tokenize((entry.keywords || []).join(' '))),
+            headings: new Set(tokenize((entry.headings || []).join(' '))),
+            description: new Set(tokenize(entry.description)),
+            content: new Set(tokenize(entry.content))
+        };
+        return { entry, tokens, phraseText: tokenize(entry.title + ' ' + entry.content).join(' ') };
+    }
+
+    function getQueryTerms(query) {
+        const terms = Array.from(new Set(tokenize(query)));
+        const meaningful = terms.filter(term => !STOP_WORDS.has(term));
+        return meaningful.length > 0 ? meaningful : terms;
+    }
+
+    // Allow one typo in medium words and two in long ones; short words must match exactly
+    function maxTypos(term) {
+        if (term.length >= 8) return 2;
+        if (term.length >= 4) return 1;
+        return 0;
+    }
+
+    // Best way a single query term matches a set of indexed words
+    function matchTerm(term, tokens) {
+        if (tokens.has(term)) {
+            return { quality: MATCH_QUALITY.exact, tokens: [term] };
+        }
+        
+        const prefixMatches = [];
+        const fuzzyMatches = [];
+        const typos = maxTypos(term);
+        
+        tokens.forEach(token => {
+            if (term.length >= 2 && token.startsWith(term)) {
+                prefixMatches.push(token);
+            } else if (typos > 0 && Math.abs(token.length - term.length) <= typos &&
+                       editDistance(term, token, typos) <= typos) {
+                fuzzyMatches.push(token);
+            }
+        });
+        
+        if (prefixMatches.length > 0) {
+            return { quality: MATCH_QUALITY.prefix, tokens: prefixMatches };
+        }
+        if (fuzzyMatches.length > 0) {
+            return { quality: MATCH_QUALITY.fuzzy, tokens: fuzzyMatches };
+        }
+        return null;
+    }
+
+    // Optimal string alignment distance, giving up once it exceeds maxDistance
+    function editDistance(a, b, maxDistance) {
+        let previousPrevious = null;
+        let previous = [];
+        for (let j = 0; j <= b.length; j++) previous[j] = j;
+        
+        for (let i = 1; i <= a.length; i++) {
+            const current = [i];
+            let rowMin = i;
+            for (let j = 1; j <= b.length; j++) {
+                const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+                let value = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+                if (previousPrevious && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                    value = Math.min(value, previousPrevious[j - 2] + 1);
+                }
+                current[j] = value;
+                rowMin = Math.min(rowMin, value);
+            }
+            if (rowMin > maxDistance) return maxDistance + 1;
+            previousPrevious = previous;
+            previous = current;
+        }
+        
+        return previous[b.length];
+    }
+
+    // Score every prepared entry against the query and return matches, best first
+    function search(index, query) {
+        const terms = getQueryTerms(query);
+        if (terms.length === 0) return [];
+        const phrase = terms.join(' ');
+        
+        const results = [];
+        index.forEach(prepared => {
+            let score = 0;
+            let matchedTerms = 0;
+            const matches = new Set();
+            
+            terms.forEach(term => {
+                let termScore = 0;
+                Object.keys(FIELD_WEIGHTS).forEach(field => {
+                    const match = matchTerm(term, prepared.tokens[field]);
+                    if (match) {
+                        termScore += FIELD_WEIGHTS[field] * match.quality;
+                        match.tokens.forEach(token => matches.add(token));
+                    }
+                });
+                if (termScore > 0) {
+                    score += termScore;
+                    matchedTerms++;
+                }
+            });
+            
+            if (matchedTerms === 0) return;
+            
+            // Reward entries containing the query as an exact phrase
+            if (terms.length > 1 && prepared.phraseText.includes(phrase)) {
+                score += FIELD_WEIGHTS.title;
+            }
+            
+            // Entries matching every term rank above partial matches
+            const coverage = matchedTerms / terms.length;
+            results.push({
+                entry: prepared.entry,
+                score: score * coverage * coverage,
+                matches: Array.from(matches)
+            });
+        });
+        
+        results.sort((a, b) => b.score - a.score);
+        const threshold = results.length > 0 ? results[0].score * MIN_RELATIVE_SCORE : 0;
+        return results.filter(result => result.score >= threshold);
+    }
+
+    function escapeRegex(string) {
+        return string.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    }
+
+    function createIndex(entries) {
+        return entries.map(prepareEntry);
+    }
+
+    // Each locale has its own index: search-index.json or search-index.<locale>.json
+    function getIndexUrl(locale) {
+        return !locale || locale === DEFAULT_LOCALE ? '/search-index.json' : `/search-index.${locale}.json`;
+    }
+
+    // Results page for the locale, matching the /<locale>/ paths scripts/build-site.js writes
+    function getSearchUrl(locale) {
+        return !locale || locale === DEFAULT_LOCALE ? '/search' : `/${locale}/search`;
+    }
+
+    // UI strings of the site searches, from #search-messages
+    // (templates/partials/search-messages.html) so they are translated with
+    // the page. A `count` value picks the .one or .other form for the page's
+    // language. Returns the text split around the {placeholders}, with the
+    // values - strings or nodes - in their place.
+    function getMessageParts(key, values = {}) {
+        const container = typeof document !== 'undefined' && document.getElementById('search-messages');
+        const find = name => container && container.querySelector(`[data-message="${name}"]`);
+        let element = find(key);
+        if (!element && typeof values.count === 'number') {
+            const form = new Intl.PluralRules(document.documentElement.lang || DEFAULT_LOCALE).select(values.count);
+            element = find(`${key}.${form}`) || find(`${key}.other`);
+        }
+        const template = element ? element.textContent.trim() : key;
+        return template.split(/(\{\w+\})/).filter(Boolean).map(part => {
+            const name = part.slice(1, -1);
+            return /^\{\w+\}$/.test(part) && name in values ? values[name] : part;
+        });
+    }
+
+    function getMessage(key, values) {
+        return getMessageParts(key, values).join('');
+    }
+
+    // Fetch and prepare a generated index; callers share one request per URL
+    const indexRequests = {};
+    function loadIndex(url) {
+        if (!indexRequests[url]) {
+            indexRequests[url] = fetch(url)
+                .then(response => {
+                    if (!response.ok) {
+                        throw new Error(`Failed to load ${url}: ${response.status}`);
+                    }
+                    return response.json();
+                })
+                .then(data => {
+                    if (!data || data.version !== INDEX_VERSION || !Array.isArray(data.entries)) {
+                        throw new Error(`Unsupported search index version: ${data && data.version}`);
+                    }
+                    return createIndex(data.entries);
+                })
+                .catch(error => {
+                    // Allow a later search to retry the request
+                    delete indexRequests[url];
+                    throw error;
+                });
+        }
+        return indexRequests[url];
+    }
+
+    // Group ranked results by section, strongest group first
+    function groupResults(results) {
+        const groups = [];
+        results.forEach(result => {
+            const section = result.entry.section || 'site';
+            let group = groups.find(candidate => candidate.section === section);
+            if (!group) {
+                group = { section, label: SECTION_LABELS[section] || section, results: [] };
+                groups.push(group);
+            }
+            group.results.push(result);
+        });
+        
+        const order = Object.keys(SECTION_LABELS);
+        return groups.sort((a, b) =>
+            (b.results[0].score - a.results[0].score) || (order.indexOf(a.section) - order.indexOf(b.section))
+        );
+    }
+
+    return {
+        INDEX_VERSION,
+        SECTION_LABELS,
+        createIndex,
+        getIndexUrl,
+        getSearchUrl,
+        getMessage,
+        getMessageParts,
+        loadIndex,
+        search,
+        groupResults,
+        getExcerpt,
+        buildMatchRegex,
+        highlightSegments,
+        tokenize
+    };
+});
@@ -0,0 +1,169 @@
+// Full search results page (/search?q=...) - shares the engine and index with the header search
+(function() {
+    const engine = window.OlocusSearchEngine;
+    const SEARCH_INDEX_URL = engine.getIndexUrl(document.documentElement.lang);
+    const RESULTS_PER_PAGE = 10;
+
+    const params = new URLSearchParams(window.location.search);
+    const query = (params.get('q') || '').trim();
+    const section = engine.SECTION_LABELS[params.get('section')] ? params.get('section') : '';
+    const requestedPage = parseInt(params.get('page'), 10) || 1;
+
+    const input = document.getElementById('search-page-input');
+    const summary = document.getElementById('search-summary');
+    const filters = document.getElementById('search-filters');
+    const list = document.getElementById('search-page-results');
+    const pagination = document.getElementById('search-pagination');
+    // The form's action is the results page in the page's language
+    const SEARCH_URL = input.form.getAttribute('action');
+
+    input.value = query;
+
+    if (!query) {
+        input.focus();
+        return;
+    }
+
+    document.title = engine.getMessage('page-title', { query });
+    summary.textContent = engine.getMessage('searching');
+
+    engine.loadIndex(SEARCH_INDEX_URL)
+        .then(index => {
+            const allResults = engine.search(index, query);
+            const results = section
+                ? allResults.filter(result => result.entry.section === section)
+                : allResults;
+            const pageCount = Math.max(1, Math.ceil(results.length / RESULTS_PER_PAGE));
+            const page = Math.min(Math.max(requestedPage, 1), pageCount);
+            const start = (page - 1) * RESULTS_PER_PAGE;
+
+            if (window.OlocusSearchAnalytics && !section && requestedPage === 1) {
+                // Only the first unfiltered view counts, so paging doesn't inflate totals
+                window.OlocusSearchAnalytics.record(query, allResults.length);
+            }
+
+            renderFilters(allResults);
+            renderSummary(results.length, start, page, pageCount);
+            renderResults(results.slice(start, start + RESULTS_PER_PAGE), start);
+            renderPagination(page, pageCount);
+        })
+        .catch(error => {
+            console.error('Search index unavailable:', error);
+            summary.textContent = `${engine.getMessage('unavailable')} ${engine.getMessage('unavailable-hint')}`;
+        });
+
+    function buildUrl(overrides) {
+        const next = new URLSearchParams({ q: query });
+        const nextSection = 'section' in overrides ? overrides.section : section;
+        if (nextSection) next.set('section', nextSection);
+        if (overrides.page && overrides.page > 1) next.set('page', overrides.page);
+        return `${SEARCH_URL}?${next.toString()}`;
+    }
+
+    function renderFilters(allResults) {
+        const counts = { '': allResults.length };
+        allResults.forEach(result => {
+            const key = result.entry.section || 'site';
+            counts[key] = (counts[key] || 0) + 1;
+        });
+
+        const options = [{ key: '', label: engine.getMessage('filter-all') }].concat(
+            Object.keys(engine.SECTION_LABELS).map(key => ({ key, label: engine.getMessage(`section.${key}`) }))
+        );
+
+        options.forEach(option => {
+            const link = document.createElement('a');
+            link.href = buildUrl({ section: option.key, page: 1 });
+            link.textContent = `${option.label} (${counts[option.key] || 0})`;
+            if (option.key === section) link.setAttribute('aria-current', 'true');
+            filters.appendChild(link);
+        });
+        filters.hidden = false;
+    }
+
+    function renderSummary(total, start, page, pageCount) {
+        if (total === 0) {
+            summary.textContent = `${engine.getMessage('no-results', { query })}. ${engine.getMessage('no-results-hint')}.`;
+            return;
+        }
+        const end = Math.min(start + RESULTS_PER_PAGE, total);
+        summary.textContent = engine.getMessage('summary', { count: total, start: start + 1, end, total, query }) +
+            (pageCount > 1 ? ` ${engine.getMessage('summary-page', { page, pages: pageCount })}` : '');
+    }
+
+    function renderResults(results, start) {
+        list.start = start + 1;
+        results.forEach(result => {
+            const entry = result.entry;
+            const item = document.createElement('li');
+            item.className = 'search-page-result';
+
+            const meta = document.createElement('div');
+            meta.className = 'search-page-result-meta';
+            const badge = document.createElement('span');
+            badge.className = 'search-page-badge';
+            badge.textContent = engine.getMessage(`section.${entry.section || 'site'}`);
+            meta.appendChild(badge);
+            const location = document.createElement('span');
+            location.textContent = entry.type === 'page' ? entry.url : `${entry.page} › ${entry.url}`;
+            meta.appendChild(location);
+
+            const heading = document.createElement('h2');
+            const link = document.createElement('a');
+            link.href = entry.url;
+            appendHighlighted(link, entry.title, result.matches);
+            heading.appendChild(link);
+
+            const excerpt = document.createElement('p');
+            appendHighlighted(excerpt, engine.getExcerpt(entry.content || entry.description, result.matches), result.matches);
+
+            item.appendChild(meta);
+            item.appendChild(heading);
+            item.appendChild(excerpt);
+            list.appendChild(item);
+        });
+    }
+
+    function renderPagination(page, pageCount) {
+        if (pageCount <= 1) return;
+
+        const addLink = (label, targetPage, ariaLabel, current) => {
+            const link = document.createElement('a');
+            link.href = buildUrl({ page: targetPage });
+            link.textContent = label;
+            if (ariaLabel) link.setAttribute('aria-label', ariaLabel);
+            if (current) link.setAttribute('aria-current', 'page');
+            pagination.appendChild(link);
+        };
+
+        if (page > 1) addLink(engine.getMessage('previous'), page - 1, engine.getMessage('previous-label'));
+        // First, last and the pages around the current one; gaps become an ellipsis
+        let previousNumber = 0;
+        for (let number = 1; number <= pageCount; number++) {
+            if (number !== 1 && number !== pageCount && Math.abs(number - page) > 2) continue;
+            if (number - previousNumber > 1) {
+                const gap = document.createElement('span');
+                gap.setAttribute('aria-hidden', 'true');
+                gap.textContent = '…';
+                pagination.appendChild(gap);
+            }
+            addLink(String(number), number, engine.getMessage('page-label', { page: number }), number === page);
+            previousNumber = number;
+        }
+        if (page < pageCount) addLink(engine.getMessage('next'), page + 1, engine.getMessage('next-label'));
+        pagination.hidden = false;
+    }
+
+    // Append text to an element, wrapping matched terms in <mark> without touching innerHTML
+    function appendHighlighted(element, text, matches) {
+        engine.highlightSegments(text, matches).forEach(segment => {
+            if (segment.highlighted) {
+                const mark = document.createElement('mark');
+                mark.textContent = segment.text;
+                element.appendChild(mark);
+            } else {
+                element.appendChild(document.createTextNode(segment.text));
+            }
+        });
+    }
+})();
@@ -1,83 +1,43 @@
 // Search functionality for Olocus website
 (function() {
-    // Search index - content from all pages
-    const searchIndex = [
-        // Homepage
-        {
-            title: "Home - Olocus",
-            url: "/",
-            content: "Privacy-preserving location infrastructure. Trust, Owned by You. Olocus is redefining trust for the digital age with a decentralised protocol that turns your real-world interactions into verifiable, privacy-protected digital assets.",
-            keywords: ["home", "privacy", "location", "trust", "decentralized", "digital assets"]
-        },
-        // About
-        {
-            title: "About Olocus",
-            url: "/about",
-            content: "A Community Interest Company building trust infrastructure for the digital age. Learn about our mission to create a privacy-first location verification system.",
-            keywords: ["about", "mission", "community interest company", "CIC", "social benefit"]
-        },
-        // Technology
-        {
-            title: "Technology",
-            url: "/technology",
-            content: "Zero-knowledge proofs and cryptographic verification. Learn how our privacy-preserving verification system works using decentralised architecture.",
-            keywords: ["technology", "zero-knowledge proofs", "zkp", "cryptography", "blockchain"]
-        },
-        // Vision
-        {
-            title: "Our Vision",
-            url: "/vision",
-            content: "Building a trust graph owned by you. A future where trust is human, decentralised, and enduring. 2-5 million users in 10 years.",
-            keywords: ["vision", "future", "trust graph", "roadmap", "mission"]
-        },
-        // Enterprise
-        {
-            title: "Enterprise Solutions",
-            url: "/enterprise",
-            content: "Verification without surveillance. The future of location intelligence is cryptographic verification, not data collection. Zero liability, automatic compliance.",
-            keywords: ["enterprise", "business", "verification", "compliance", "GDPR", "liability"]
-        },
-        // Privacy
-        {
-            title: "Privacy Policy",
-            url: "/privacy",
-            content: "How we protect your privacy and handle your data. Complete privacy policy, GDPR compliance, data protection measures.",
-            keywords: ["privacy", "privacy policy", "GDPR", "data protection", "compliance"]
-        },
-        // Terms
-        {
-            title: "Terms of Service",
-            url: "/terms",
-            content: "Terms and conditions for using Olocus platform and services. User agreement, platform terms, mobile app terms.",
-            keywords: ["terms", "conditions", "legal", "agreement", "terms of service"]
-        },
-        // Use Cases
-        {
-            title: "Use Cases",
-            url: "/#use-cases",
-            content: "Fitness tracking, sustainable commutes, work attendance, dating verification, financial credit building, legal alibis.",
-            keywords: ["use cases", "fitness", "sustainability", "work", "dating", "finance", "legal"]
-        },
-        // How It Works
-        {
-            title: "How It Works",
-            url: "/#how-it-works",
-            content: "Passive tracking, co-signing trust, earn and control, portable reputation, blockchain security.",
-            keywords: ["how it works", "tracking", "co-signing", "reputation", "blockchain"]
-        },
-        // FAQ
-        {
-            title: "FAQ",
-            url: "/#faq",
-            content: "Frequently asked questions about battery usage, earnings, privacy protection, age requirements, trust scores.",
-            keywords: ["faq", "questions", "battery", "earnings", "privacy", "trust score"]
+    // Ranking lives in search-engine.js, loaded before this file
+    const engine = window.OlocusSearchEngine;
+    
+    // Search index and results page for the page's language - the index is
+    // generated by scripts/build-search-index.js and fetched on first use
+    const SEARCH_INDEX_URL = engine.getIndexUrl(document.documentElement.lang);
+    const SEARCH_URL = engine.getSearchUrl(document.documentElement.lang);
+    
+    // The dropdown shows the strongest few matches from each group
+    const MAX_RESULTS_PER_GROUP = 5;
+    let searchIndex = [];
+
+    function loadSearchIndex() {
+        return engine.loadIndex(SEARCH_INDEX_URL).then(index => {
+            searchIndex = index;
+            return index;
+        });
+    }
+
+    // Combobox state - which input owns the results panel and which option is active
+    const LISTBOX_ID = 'search-results-listbox';
+    let activeInput = null;
+    let activeOptionIndex = -1;
+
+    // Debounced typing runs many partial queries; only the one the visitor
+    // settled on (closed the panel or picked a result) goes to analytics
+    let pendingAnalytics = null;
+
+    function recordSettledSearch() {
+        if (pendingAnalytics && window.OlocusSearchAnalytics) {
+            window.OlocusSearchAnalytics.record(pendingAnalytics.query, pendingAnalytics.resultCount);
         }
-    ];
+        pendingAnalytics = null;
+    }
 
     // Initialize search - will be called from load-components.js after header loads
     function setupSearch() {
         console.log('Setting up search functionality...');
-        console.log('Search index loaded with', searchIndex.length, 'pages');
         
         // Create search results container first
         createSearchResultsContainer();
@@ -97,69 +57,177 @@
         
         // Setup desktop search
         if (searchInput && searchBtn) {
-            searchInput.addEventListener('input', debounce(handleSearch, 300));
-            searchInput.addEventListener('keypress', function(e) {
-                if (e.key === 'Enter') {
-                    handleSearch();
-                }
-            });
-            searchBtn.addEventListener('click', handleSearch);
+            setupCombobox(searchInput, searchBtn, handleSearch);
         }
         
         // Setup mobile search (independent of desktop)
         if (mobileSearchInput && mobileSearchBtn) {
             console.log('Setting up mobile search handlers');
-            mobileSearchInput.addEventListener('input', debounce(handleMobileSearch, 300));
-            mobileSearchInput.addEventListener('keypress', function(e) {
-                if (e.key === 'Enter') {
-                    handleMobileSearch();
-                }
-            });
-            mobileSearchBtn.addEventListener('click', handleMobileSearch);
+            setupCombobox(mobileSearchInput, mobileSearchBtn, handleMobileSearch);
         }
         
         // Close search results when clicking outside
         document.addEventListener('click', function(e) {
-            const searchContainers = document.querySelectorAll('.search-container, .mobile-search-container');
-            const resultsContainer = document.getElementById('search-results');
-            
-            let clickedInside = false;
-            searchContainers.forEach(container => {
-                if (container && container.contains(e.target)) {
-                    clickedInside = true;
-                }
-            });
-            
-            if (!clickedInside && resultsContainer && !resultsContainer.contains(e.target)) {
-                resultsContainer.style.display = 'none';
+            if (!isInsideSearch(e.target)) {
+                closeSearchResults();
             }
         });
     }
+
+    // Wire an input up as a WAI-ARIA combobox controlling the shared results listbox
+    function setupCombobox(input, button, search) {
+        input.setAttribute('role', 'combobox');
+        input.setAttribute('aria-autocomplete', 'list');
+        input.setAttribute('aria-controls', LISTBOX_ID);
+        input.setAttribute('aria-expanded', 'false');
+        input.setAttribute('autocomplete', 'off');
+        
+        // Start fetching the index as soon as the visitor shows intent to search
+        input.addEventListener('focus', function() {
+            loadSearchIndex().catch(() => {});
+        }, { once: true });
+        
+        input.addEventListener('input', debounce(search, 300));
+        input.addEventListener('keydown', function(e) {
+            handleComboboxKeydown(e, input, search);
+        });
+        button.addEventListener('click', search);
+        
+        // Tabbing away from the search closes the panel
+        input.addEventListener('blur', function(e) {
+            if (!isInsideSearch(e.relatedTarget)) {
+                closeSearchResults();
+            }
+        });
+    }
+
+    function handleComboboxKeydown(e, input, search) {
+        const options = getOptions();
+        const isOpen = isResultsOpen() && activeInput === input;
+        
+        switch (e.key) {
+            case 'ArrowDown':
+            case 'ArrowUp':
+                e.preventDefault();
+                if (!isOpen) {
+                    if (options.length > 0 && activeInput === input) {
+                        openSearchResults();
+                    } else {
+                        search();
+                    }
+                    return;
+                }
+                if (options.length === 0) return;
+                setActiveOption(e.key === 'ArrowDown'
+                    ? (activeOptionIndex + 1) % options.length
+                    : (activeOptionIndex - 1 + options.length) % options.length);
+                break;
+            case 'Enter':
+                e.preventDefault();
+                if (isOpen && activeOptionIndex >= 0 && options[activeOptionIndex]) {
+                    options[activeOptionIndex].click();
+                } else {
+                    search();
+                }
+                break;
+            case 'Escape':
+                if (isOpen) {
+                    // Keep the mobile menu open - only the results panel is dismissed
+                    e.preventDefault();
+                    e.stopPropagation();
+                    closeSearchResults();
+                    input.focus();
+                } else if (input.value) {
+                    e.preventDefault();
+                    e.stopPropagation();
+                    input.value = '';
+                }
+                break;
+        }
+    }
+
+    function isInsideSearch(target) {
+        if (!target) return false;
+        const resultsContainer = document.getElementById('search-results');
+        const searchContainers = document.querySelectorAll('.search-container, .mobile-search-container');
+        return Array.from(searchContainers).some(container => container.contains(target)) ||
+            (resultsContainer && resultsContainer.contains(target));
+    }
+
+    function getOptions() {
+        const listbox = document.getElementById(LISTBOX_ID);
+        return listbox ? Array.from(listbox.querySelectorAll('[role="option"]')) : [];
+    }
+
+    function isResultsOpen() {
+        const resultsContainer = document.getElementById('search-results');
+        return !!resultsContainer && !resultsContainer.hidden;
+    }
+
+    function setExpanded(expanded) {
+        document.querySelectorAll('.search-input, .mobile-search-input').forEach(input => {
+            input.setAttribute('aria-expanded', expanded && input === activeInput ? 'true' : 'false');
+        });
+        document.querySelectorAll('.search-btn, .mobile-search-btn').forEach(button => {
+            button.setAttribute('aria-expanded', expanded ? 'true' : 'false');
+        });
+    }
+
+    function openSearchResults() {
+        const resultsContainer = document.getElementById('search-results');
+        resultsContainer.hidden = false;
+        setExpanded(true);
+    }
+
+    function closeSearchResults() {
+        const resultsContainer = document.getElementById('search-results');
+        if (resultsContainer) {
+            resultsContainer.hidden = true;
+        }
+        recordSettledSearch();
+        setActiveOption(-1);
+        setExpanded(false);
+    }
+
+    function setActiveOption(index) {
+        const options = getOptions();
+        options.forEach((option, optionIndex) => {
+            const isActive = optionIndex === index;
+            option.setAttribute('aria-selected', isActive ? 'true' : 'false');
+        });
+        
+        activeOptionIndex = index;
+        if (!activeInput) return;
+        
+        if (index >= 0 && options[index]) {
+            activeInput.setAttribute('aria-activedescendant', options[index].id);
+            options[index].scrollIntoView({ block: 'nearest' });
+        } else {
+            activeInput.removeAttribute('aria-activedescendant');
+        }
+    }
+
+    // Polite live regions for result counts, rendered by templates/partials/header.html
+    function announce(message) {
+        const statusId = activeInput && activeInput.classList.contains('mobile-search-input') ?
+            'mobile-search-status' : 'search-status';
+        const status = document.getElementById(statusId);
+        if (status) status.textContent = message;
+    }
     
     // Make setupSearch available globally
     window.setupSearch = setupSearch;
 
+    // Leaving the page with results still open counts as settling on the query
+    window.addEventListener('pagehide', recordSettledSearch);
+
+    // Layout and colours live in css/common.css (.search-results-container)
     function createSearchResultsContainer() {
         if (!document.getElementById('search-results')) {
             const resultsDiv = document.createElement('div');
             resultsDiv.id = 'search-results';
             resultsDiv.className = 'search-results-container';
-            
-            // Use individual style properties instead of cssText
-            resultsDiv.style.position = 'fixed';
-            resultsDiv.style.top = '70px';
-            resultsDiv.style.right = '20px';
-            resultsDiv.style.width = '400px';
-            resultsDiv.style.maxWidth = '90vw';
-            resultsDiv.style.maxHeight = '70vh';
-            resultsDiv.style.overflowY = 'auto';
-            resultsDiv.style.background = '#1E1E1E'; // Use explicit color
-            resultsDiv.style.border = '1px solid rgba(255, 255, 255, 0.12)';
-            resultsDiv.style.borderRadius = '8px';
-            resultsDiv.style.boxShadow = '0 10px 40px rgba(0,0,0,0.5)';
-            resultsDiv.style.zIndex = '1001';
-            resultsDiv.style.display = 'none';
-            resultsDiv.style.padding = '16px';
+            resultsDiv.hidden = true;
             
             document.body.appendChild(resultsDiv);
             console.log('Search results container created');
@@ -168,6 +236,7 @@
 
     function handleSearch() {
         const searchInput = document.querySelector('.search-input');
+        activeInput = searchInput;
         const query = searchInput.value.toLowerCase().trim();
         console.log('Searching for:', query);
         performSearch(query);
@@ -175,6 +244,7 @@
     
     function handleMobileSearch() {
         const mobileSearchInput = document.querySelector('.mobile-search-input');
+        activeInput = mobileSearchInput;
         const query = mobileSearchInput.value.toLowerCase().trim();
         console.log('Mobile search for:', query);
         performSearch(query, true); // Pass mobile flag
@@ -190,134 +260,153 @@
             return performSearch(query, isMobile); // Retry after creating container
         }
         
-        // Adjust position for mobile
-        if (isMobile && window.innerWidth < 768) {
-            resultsContainer.style.top = '120px'; // Below mobile menu
-            resultsContainer.style.left = '10px';
-            resultsContainer.style.right = '10px';
-            resultsContainer.style.width = 'auto';
-        } else {
-            // Reset to desktop position
-            resultsContainer.style.top = '70px';
-            resultsContainer.style.left = 'auto';
-            resultsContainer.style.right = '20px';
-            resultsContainer.style.width = '400px';
-        }
+        // Opened from the mobile menu, the panel sits below the menu's search field
+        resultsContainer.classList.toggle('mobile', isMobile);
         
         if (!query) {
-            resultsContainer.style.display = 'none';
+            closeSearchResults();
             return;
         }
         
-        // Search through index
-        const results = searchIndex.filter(page => {
-            const inTitle = page.title.toLowerCase().includes(query);
-            const inContent = page.content.toLowerCase().includes(query);
-            const inKeywords = page.keywords.some(keyword => keyword.toLowerCase().includes(query));
-            return inTitle || inContent || inKeywords;
-        });
-        
-        console.log('Search results found:', results.length);
-        
-        // Display results
-        displaySearchResults(results, query);
+        loadSearchIndex()
+            .then(() => {
+                // Search through index
+                const results = engine.search(searchIndex, query);
+                
+                console.log('Search results found:', results.length);
+                pendingAnalytics = { query, resultCount: results.length };
+                
+                // Display results
+                displaySearchResults(results, query);
+            })
+            .catch(error => {
+                console.error('Search index unavailable:', error);
+                displaySearchError();
+            });
     }
 
+    // Results are built with DOM APIs and styled by class so the site can run
+    // under a strict Content-Security-Policy; index text is only ever set as text
     function displaySearchResults(results, query) {
         const resultsContainer = document.getElementById('search-results');
-        const searchStatus = document.getElementById('search-status');
         console.log('Displaying results, container exists:', !!resultsContainer);
         
         // Announce results to screen readers
-        if (searchStatus) {
-            searchStatus.textContent = `${results.length} search result${results.length !== 1 ? 's' : ''} found for ${query}`;
-        }
+        announce(engine.getMessage('announce', { count: results.length, query }));
         
         if (results.length === 0) {
-            resultsContainer.innerHTML = `
-                <div style="padding: 20px; text-align: center; color: var(--text-secondary);">
-                    <p>No results found for "<strong>${escapeHtml(query)}</strong>"</p>
-                    <p style="font-size: 14px; margin-top: 10px;">Try different keywords or check spelling</p>
-                </div>
-            `;
+            const message = createElement('div', 'search-results-message');
+            const summary = createElement('p');
+            summary.append(...engine.getMessageParts('no-results', { query: createElement('strong', null, query) }));
+            message.append(summary, createElement('p', 'search-results-hint', engine.getMessage('no-results-hint')));
+            resultsContainer.replaceChildren(message);
         } else {
-            let html = `
-                <div style="margin-bottom: 16px; padding-bottom: 12px; border-bottom: 1px solid var(--border-dark);">
-                    <h3 style="font-size: 14px; color: var(--text-secondary); margin: 0;">
-                        Found ${results.length} result${results.length > 1 ? 's' : ''} for "<strong style="color: var(--primary);">${escapeHtml(query)}</strong>"
-                    </h3>
-                </div>
-                <div class="search-results-list">
-            `;
+            const header = createElement('div', 'search-results-header');
+            const heading = createElement('h3');
+            heading.append(...engine.getMessageParts('found', { count: results.length, query: createElement('strong', null, query) }));
+            header.appendChild(heading);
+            
+            const listbox = createElement('div');
+            listbox.id = LISTBOX_ID;
+            listbox.setAttribute('role', 'listbox');
+            listbox.setAttribute('aria-label', engine.getMessage('results'));
             
-            results.forEach(result => {
-                const excerpt = getExcerpt(result.content, query);
-                html += `
-                    <a href="${result.url}" class="search-result-item" style="
-                        display: block;
-                        padding: 12px;
-                        margin-bottom: 8px;
-                        background: var(--bg-dark-card);
-                        border-radius: 8px;
-                        text-decoration: none;
-                        border: 1px solid transparent;
-                        transition: all 0.2s ease;
-                    " onmouseover="this.style.borderColor='var(--primary)'; this.style.transform='translateX(4px)';" 
-                       onmouseout="this.style.borderColor='transparent'; this.style.transform='translateX(0)';">
-                        <h4 style="color: var(--primary); margin: 0 0 4px 0; font-size: 16px;">${highlightMatch(result.title, query)}</h4>
-                        <p style="color: var(--text-secondary); margin: 0; font-size: 14px; line-height: 1.4;">
-                            ${highlightMatch(excerpt, query)}
-                        </p>
-                    </a>
-                `;
+            let optionIndex = 0;
+            engine.groupResults(results).forEach(group => {
+                const groupElement = createElement('div', 'search-results-group');
+                groupElement.setAttribute('role', 'group');
+                groupElement.setAttribute('aria-labelledby', `search-group-${group.section}`);
+                
+                const label = createElement('h4', 'search-results-group-label', engine.getMessage(`section.${group.section}`));
+                label.id = `search-group-${group.section}`;
+                label.setAttribute('role', 'presentation');
+                
+                const list = createElement('div', 'search-results-list');
+                group.results.slice(0, MAX_RESULTS_PER_GROUP).forEach(result => {
+                    list.appendChild(createResultOption(result, optionIndex++));
+                });
+                
+                groupElement.append(label, list);
+                listbox.appendChild(groupElement);
             });
             
-            html += '</div>';
-            resultsContainer.innerHTML = html;
+            const viewAll = createElement('a', 'search-view-all', engine.getMessage('view-all', { count: results.length }));
+            viewAll.href = `${SEARCH_URL}?q=${encodeURIComponent(query)}`;
+            // The full results page records the query itself
+            viewAll.addEventListener('click', function() {
+                pendingAnalytics = null;
+            });
+            
+            resultsContainer.replaceChildren(header, listbox, viewAll);
         }
         
-        resultsContainer.style.display = 'block';
-        
-        // Add click handlers to close search on result click
-        resultsContainer.querySelectorAll('.search-result-item').forEach(item => {
-            item.addEventListener('click', function() {
-                resultsContainer.style.display = 'none';
-                const desktopInput = document.querySelector('.search-input');
-                const mobileInput = document.querySelector('.mobile-search-input');
-                if (desktopInput) desktopInput.value = '';
-                if (mobileInput) mobileInput.value = '';
-            });
-        });
+        activeOptionIndex = -1;
+        if (activeInput) activeInput.removeAttribute('aria-activedescendant');
+        openSearchResults();
     }
 
-    function getExcerpt(content, query) {
-        const queryIndex = content.toLowerCase().indexOf(query.toLowerCase());
-        if (queryIndex === -1) return content.substring(0, 100) + '...';
+    function createResultOption(result, optionIndex) {
+        const entry = result.entry;
+        const excerpt = engine.getExcerpt(entry.content || entry.description, result.matches);
         
-        const start = Math.max(0, queryIndex - 40);
-        const end = Math.min(content.length, queryIndex + query.length + 40);
-        let excerpt = content.substring(start, end);
+        const option = createElement('a', 'search-result-item');
+        option.href = entry.url;
+        option.id = `search-result-${optionIndex}`;
+        option.setAttribute('role', 'option');
+        option.setAttribute('aria-selected', 'false');
+        option.tabIndex = -1;
         
-        if (start > 0) excerpt = '...' + excerpt;
-        if (end < content.length) excerpt = excerpt + '...';
+        if (entry.type !== 'page') {
+            option.appendChild(createElement('span', 'search-result-page', entry.page));
+        }
+        option.append(
+            appendHighlighted(createElement('h5', 'search-result-title'), entry.title, result.matches),
+            appendHighlighted(createElement('p', 'search-result-excerpt'), excerpt, result.matches)
+        );
         
-        return excerpt;
+        // Close search on result click
+        option.addEventListener('click', function() {
+            closeSearchResults();
+            const desktopInput = document.querySelector('.search-input');
+            const mobileInput = document.querySelector('.mobile-search-input');
+            if (desktopInput) desktopInput.value = '';
+            if (mobileInput) mobileInput.value = '';
+        });
+        
+        return option;
     }
 
-    function highlightMatch(text, query) {
-        if (!query) return text;
-        const regex = new RegExp(`(${escapeRegex(query)})`, 'gi');
-        return text.replace(regex, '<mark style="background: rgba(76, 175, 80, 0.3); color: var(--text-primary-dark); padding: 2px; border-radius: 2px;">$1</mark>');
+    function displaySearchError() {
+        const resultsContainer = document.getElementById('search-results');
+        
+        announce(engine.getMessage('unavailable'));
+        
+        const message = createElement('div', 'search-results-message');
+        message.append(
+            createElement('p', null, engine.getMessage('unavailable')),
+            createElement('p', 'search-results-hint', engine.getMessage('unavailable-hint'))
+        );
+        resultsContainer.replaceChildren(message);
+        activeOptionIndex = -1;
+        if (activeInput) activeInput.removeAttribute('aria-activedescendant');
+        openSearchResults();
     }
 
-    function escapeHtml(text) {
-        const div = document.createElement('div');
-        div.textContent = text;
-        return div.innerHTML;
+    function createElement(tagName, className, text) {
+        const element = document.createElement(tagName);
+        if (className) element.className = className;
+        if (text !== undefined) element.textContent = text;
+        return element;
     }
 
-    function escapeRegex(string) {
-        return string.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    // Matched terms become <mark> elements; everything else stays a text node
+    function appendHighlighted(element, text, matches) {
+        engine.highlightSegments(text, matches).forEach(segment => {
+            element.appendChild(segment.highlighted
+                ? createElement('mark', null, segment.text)
+                : document.createTextNode(segment.text));
+        });
+        return element;
     }
 
     function debounce(func, wait) {
@@ -331,22 +420,4 @@
             timeout = setTimeout(later, wait);
         };
     }
-
-    // Mobile responsive adjustments
-    if (window.innerWidth < 768) {
-        const style = document.createElement('style');
-        style.textContent = `
-            @media (max-width: 768px) {
-                #search-results {
-                    position: fixed !important;
-                    top: 60px !important;
-                    left: 10px !important;
-                    right: 10px !important;
-                    width: auto !important;
-                    max-width: none !important;
-                }
-            }
-        `;
-        document.head.appendChild(style);
-    }
 })();
\ No newline at end of file
@@ -0,0 +1,90 @@
+// Light/dark theme for the site
+// Loaded in <head> without defer so data-theme is set before the first paint.
+// The choice is stored under the same localStorage key Docusaurus uses for its
+// colour mode, so moving between the site and /docs/ keeps the theme; with no
+// stored choice both follow prefers-color-scheme.
+(function() {
+    if (window.OlocusTheme) return;
+
+    const STORAGE_KEY = 'theme';
+    const THEMES = ['light', 'dark'];
+    // Browser UI colour per theme, matching --bg-dark in css/common.css
+    const THEME_COLORS = { light: '#FAFAFA', dark: '#121212' };
+
+    const root = document.documentElement;
+    const darkQuery = window.matchMedia('(prefers-color-scheme: dark)');
+
+    function getStoredTheme() {
+        try {
+            const theme = localStorage.getItem(STORAGE_KEY);
+            return THEMES.indexOf(theme) !== -1 ? theme : null;
+        } catch (error) {
+            // Storage can be unavailable (privacy modes, disabled cookies)
+            return null;
+        }
+    }
+
+    function getSystemTheme() {
+        return darkQuery.matches ? 'dark' : 'light';
+    }
+
+    function getTheme() {
+        return root.getAttribute('data-theme') || getStoredTheme() || getSystemTheme();
+    }
+
+    function updateControls(theme) {
+        document.querySelectorAll('meta[name="theme-color"]').forEach(meta => {
+            meta.content = THEME_COLORS[theme];
+        });
+        document.querySelectorAll('.theme-toggle').forEach(button => {
+            button.setAttribute('aria-pressed', theme === 'dark' ? 'true' : 'false');
+        });
+    }
+
+    function applyTheme(theme) {
+        root.setAttribute('data-theme', theme);
+        root.style.colorScheme = theme;
+        updateControls(theme);
+    }
+
+    function setTheme(theme) {
+        if (THEMES.indexOf(theme) === -1) return;
+        try {
+            localStorage.setItem(STORAGE_KEY, theme);
+        } catch (error) {
+            // Still switch for this page view
+        }
+        applyTheme(theme);
+    }
+
+    function toggleTheme() {
+        setTheme(getTheme() === 'dark' ? 'light' : 'dark');
+    }
+
+    applyTheme(getStoredTheme() || getSystemTheme());
+
+    // Follow the system setting until the visitor picks a theme
+    darkQuery.addEventListener('change', function() {
+        if (!getStoredTheme()) applyTheme(getSystemTheme());
+    });
+
+    // A choice made in another tab, including the docs
+    window.addEventListener('storage', function(event) {
+        if (event.key === STORAGE_KEY) {
+            applyTheme(getStoredTheme() || getSystemTheme());
+        }
+    });
+
+    document.addEventListener('DOMContentLoaded', function() {
+        document.querySelectorAll('.theme-toggle').forEach(button => {
+            button.addEventListener('click', toggleTheme);
+        });
+        updateControls(getTheme());
+    });
+
+    window.OlocusTheme = {
+        get: getTheme,
+        set: setTheme,
+        toggle: toggleTheme
+    };
+})();
@@ -0,0 +1,368 @@
+#!/usr/bin/env node
+
+/**
+ * AI Context Builder
+ *
+ * Writes the files robots.txt points AI crawlers to from the same sources as
+ * the site, so they can't drift from what the pages say:
+ *
+ * - ai-context.json: the facts in templates/ai-context.json plus the claims
+ *   the pages make - the home page's tagline and description, the <h3> items
+ *   of the sections in SECTION_LISTS and every FAQ section (front matter
+ *   `faq`) - and an index of the pages and docs. Each derived entry cites the
+ *   canonical URL of the section it came from. It must match
+ *   ai-context.schema.json.
+ * - llms.txt: an llmstxt.org summary linking every page and doc.
+ * - llms-full.txt: the text of every page, split at its h1 and h2 headings,
+ *   and of every doc served at /docs/, split at its sections, paragraph by
+ *   paragraph, each page and doc with its source URL.
+ *
+ * The files are committed and deployed; scripts/build-site.js fails while
+ * they are invalid or out of date. Run it after changing page copy, docs or
+ * the facts:
+ *
+ *   node scripts/build-ai-context.js
+ *   node scripts/build-ai-context.js --check   # fail if a file is out of date
+ */
+
+const fs = require('fs');
+const path = require('path');
+const html = require('./lib/html');
+const { validate } = require('./lib/json-schema');
+const { hasText } = require('./lib/markdown');
+const { extractHeadingItems } = require('./lib/structured-data');
+const { DOCS_SOURCE_DIR, findMarkdownFiles } = require('./lib/docs');
+const { readPage, listPages } = require('./lib/pages');
+const { renderPage, loadContext } = require('./build-site');
+const { buildDocEntries } = require('./build-search-index');
+
+const ROOT_DIR = path.join(__dirname, '..');
+const SOURCE_FILE = path.join(ROOT_DIR, 'templates/ai-context.json');
+const SCHEMA_FILE = path.join(ROOT_DIR, 'ai-context.schema.json');
+const SITE_URL = 'https://olocus.com';
+const SCHEMA_URL = `${SITE_URL}/ai-context.schema.json`;
+
+const AI_CONTEXT_FILE = 'ai-context.json';
+const LLMS_FILE = 'llms.txt';
+const LLMS_FULL_FILE = 'llms-full.txt';
+
+// Page sections whose <h3> items become lists in ai-context.json
+const SECTION_LISTS = [
+  { key: 'key_features', path: '/', selector: '#value-props' },
+  { key: 'how_it_works', path: '/', selector: '#how-it-works' },
+  { key: 'use_cases', path: '/', selector: '#use-cases' },
+  { key: 'enterprise_benefits', path: '/enterprise', selector: '#value-props' }
+];
+
+const SKIPPED_ELEMENTS = new Set(['script', 'style', 'noscript', 'template', 'svg']);
+const BLOCK_ELEMENTS = new Set([
+  'address', 'article', 'aside', 'blockquote', 'dd', 'details', 'div', 'dl', 'dt',
+  'figcaption', 'figure', 'footer', 'form', 'h3', 'h4', 'h5', 'h6', 'header', 'li',
+  'nav', 'ol', 'p', 'section', 'summary', 'table', 'tr', 'ul'
+]);
+
+function getMeta(document, name) {
+  const meta = html.querySelector(document, `meta[name="${name}"]`);
+  return meta ? (html.getAttribute(meta, 'content') || '').trim() : '';
+}
+
+// Canonical URL of `element`'s place on the page: the id of the element or
+// of the nearest element around it that has one
+function citeElement(element, pageUrl) {
+  for (let current = element; current && current.tagName; current = current.parent) {
+    const id = html.getAttribute(current, 'id');
+    if (id && current.tagName !== 'main') return `${pageUrl}#${id}`;
+  }
+  return pageUrl;
+}
+
+/**
+ * The text of `main` split at its h1 and h2 headings, as `{ title, url,
+ * text }` with one paragraph per block element and <h3>-<h6> as "####"
+ * headings.
+ */
+function splitPageSections(main, pageUrl) {
+  const sections = [];
+  let current = { title: '', url: pageUrl, lines: [''] };
+
+  const visit = node => {
+    node.children.forEach(child => {
+      if (child.type === 'text') {
+        current.lines[current.lines.length - 1] += child.value;
+        return;
+      }
+      if (child.type !== 'element' || SKIPPED_ELEMENTS.has(child.tagName)) return;
+
+      if (child.tagName === 'h1' || child.tagName === 'h2') {
+        sections.push(current);
+        current = { title: html.textContent(child), url: citeElement(child, pageUrl), lines: [''] };
+      } else if (child.tagName === 'br') {
+        current.lines.push('');
+      } else if (BLOCK_ELEMENTS.has(child.tagName)) {
+        const prefix = /^h[3-6]$/.test(child.tagName) ? '#### ' : child.tagName === 'li' ? '- ' : '';
+        current.lines.push(prefix);
+        visit(child);
+        current.lines.push('');
+      } else {
+        current.lines[current.lines.length - 1] += ' ';
+        visit(child);
+        current.lines[current.lines.length - 1] += ' ';
+      }
+    });
+  };
+  visit(main);
+  sections.push(current);
+
+  return sections
+    .map(section => ({
+      title: section.title,
+      url: section.url,
+      text: section.lines
+        .map(line => line.replace(/\s+/g, ' ').trim())
+        .filter(hasText)
+        .join('\n\n')
+    }))
+    .filter(section => section.title || section.text);
+}
+
+/**
+ * Every page in pages/ rendered in the default locale, with what the
+ * outputs need from it.
+ */
+function readPages(context) {
+  return listPages().map(file => {
+    const { data } = readPage(file);
+    const document = html.parse(renderPage(file, context));
+    const canonical = html.querySelector(document, 'link[rel~="canonical"]');
+    const title = html.querySelector(document, 'title');
+    const url = canonical ? html.getAttribute(canonical, 'href') : new URL(data.path, SITE_URL).href;
+    const main = html.querySelector(document, 'main') || document;
+
+    return {
+      file,
+      path: data.path,
+      faq: data.faq || '',
+      document,
+      url,
+      title: title ? html.textContent(title) : data.title,
+      description: getMeta(document, 'description'),
+      noindex: /\bnoindex\b/i.test(getMeta(document, 'robots')),
+      sections: splitPageSections(main, url)
+    };
+  });
+}
+
+// Every doc served at /docs/ (see scripts/lib/docs.js), as its search index entries
+function readDocs() {
+  if (!fs.existsSync(DOCS_SOURCE_DIR)) return [];
+  const absolute = url => new URL(url, SITE_URL).href;
+
+  return findMarkdownFiles(DOCS_SOURCE_DIR)
+    .map(file => buildDocEntries(file, url => url, { paragraphs: true }))
+    .filter(entries => entries.length > 0)
+    .map(([page, ...sections]) => ({
+      title: page.title,
+      description: page.description,
+      url: absolute(page.url),
+      text: page.content,
+      sections: sections.map(section => ({ title: section.title, url: absolute(section.url), text: section.content }))
+    }));
+}
+
+function findSection(page, selector) {
+  const section = html.querySelector(page.document, selector);
+  if (!section) {
+    throw new Error(`${page.file}: no element matches "${selector}"`);
+  }
+  return section;
+}
+
+function withoutDate(data) {
+  const copy = { ...data };
+  delete copy.last_updated;
+  return JSON.stringify(copy);
+}
+
+/**
+ * The ai-context.json data. `previous`, the committed file, keeps its
+ * last_updated date while nothing else has changed.
+ */
+function buildAiContext(pages, docs, previous = null) {
+  const { service, links, version, ...facts } = JSON.parse(fs.readFileSync(SOURCE_FILE, 'utf8'));
+  const home = pages.find(page => page.path === '/');
+  if (!home) {
+    throw new Error('No page in pages/ has path /');
+  }
+
+  const lists = Object.fromEntries(SECTION_LISTS.map(list => {
+    const page = pages.find(candidate => candidate.path === list.path);
+    if (!page) {
+      throw new Error(`SECTION_LISTS: no page in pages/ has path ${list.path}`);
+    }
+    const section = findSection(page, list.selector);
+    return [list.key, extractHeadingItems(section).map(item => ({
+      name: item.heading,
+      description: item.text,
+      source: citeElement(section, page.url)
+    }))];
+  }));
+
+  const faq = pages.filter(page => page.faq).flatMap(page => {
+    const section = findSection(page, page.faq);
+    return extractHeadingItems(section).map(item => ({
+      question: item.heading,
+      answer: item.text,
+      source: citeElement(section, page.url)
+    }));
+  });
+
+  const data = {
+    $schema: SCHEMA_URL,
+    service: {
+      ...service,
+      tagline: home.title.replace(new RegExp(`^${service.name} - `), ''),
+      description: home.description
+    },
+    ...lists,
+    faq,
+    ...facts,
+    pages: pages.filter(page => !page.noindex).map(page => ({ title: page.title, description: page.description, url: page.url })),
+    docs: docs.map(doc => ({ title: doc.title, description: doc.description, url: doc.url })),
+    links,
+    version,
+    last_updated: new Date().toISOString().slice(0, 10)
+  };
+
+  if (previous && withoutDate(previous) === withoutDate(data)) {
+    data.last_updated = previous.last_updated;
+  }
+  return data;
+}
+
+function renderLlmsTxt(data, pages, docs) {
+  const link = item => `- [${item.title}](${item.url})${item.description ? `: ${item.description}` : ''}`;
+  return [
+    `# ${data.service.name}`,
+    '',
+    `> ${data.service.description}`,
+    '',
+    `${data.service.name} is ${data.service.type.toLowerCase()}: ${data.service.tagline}. Status: ${data.service.status}. ` +
+      `Facts about the service and the company, each claim citing its source page, are in [ai-context.json](${SITE_URL}/${AI_CONTEXT_FILE}); ` +
+      `the full text of the site and the protocol docs is in [llms-full.txt](${SITE_URL}/${LLMS_FULL_FILE}).`,
+    '',
+    '## Site',
+    '',
+    ...pages.filter(page => !page.noindex).map(link),
+    '',
+    '## Docs',
+    '',
+    ...docs.map(link),
+    '',
+    '## Optional',
+    '',
+    link({ title: 'AI context', url: `${SITE_URL}/${AI_CONTEXT_FILE}`, description: 'Structured facts about Olocus with source URLs' }),
+    link({ title: 'Full text', url: `${SITE_URL}/${LLMS_FULL_FILE}`, description: 'Every page and doc as plain text, section by section' }),
+    ''
+  ].join('\n');
+}
+
+function renderLlmsFullTxt(data, pages, docs) {
+  const section = (title, text) => [`### ${title}`, '', ...(text ? [text, ''] : [])];
+  const lines = [`# ${data.service.name}`, '', `> ${data.service.description}`, ''];
+
+  pages.filter(page => !page.noindex).forEach(page => {
+    lines.push(`## ${page.title}`, '', `Source: ${page.url}`, '');
+    page.sections.forEach(pageSection => {
+      if (pageSection.title) {
+        lines.push(...section(pageSection.title, pageSection.text));
+      } else {
+        lines.push(pageSection.text, '');
+      }
+    });
+  });
+
+  docs.forEach(doc => {
+    lines.push(`## ${doc.title}`, '', `Source: ${doc.url}`, '');
+    if (doc.text) lines.push(doc.text, '');
+    doc.sections.forEach(docSection => lines.push(...section(docSection.title, docSection.text)));
+  });
+
+  return lines.join('\n');
+}
+
+function readPrevious() {
+  const file = path.join(ROOT_DIR, AI_CONTEXT_FILE);
+  if (!fs.existsSync(file)) return null;
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * The three files as they should be, by name, and the schema errors of the
+ * generated ai-context.json.
+ */
+function buildAiContextFiles(context = loadContext()) {
+  const pages = readPages(context);
+  const docs = readDocs();
+  const data = buildAiContext(pages, docs, readPrevious());
+  const schema = JSON.parse(fs.readFileSync(SCHEMA_FILE, 'utf8'));
+
+  return {
+    files: {
+      [AI_CONTEXT_FILE]: JSON.stringify(data, null, 2) + '\n',
+      [LLMS_FILE]: renderLlmsTxt(data, pages, docs),
+      [LLMS_FULL_FILE]: renderLlmsFullTxt(data, pages, docs)
+    },
+    errors: validate(data, schema)
+  };
+}
+
+/**
+ * Problems with the committed files: schema errors and files that differ
+ * from what their sources produce now. Empty when they are up to date.
+ */
+function checkAiContext(context = loadContext()) {
+  const { files, errors } = buildAiContextFiles(context);
+  const problems = errors.map(error => `${AI_CONTEXT_FILE}: ${error}`);
+
+  Object.entries(files).forEach(([file, content]) => {
+    const target = path.join(ROOT_DIR, file);
+    if (!fs.existsSync(target) || fs.readFileSync(target, 'utf8') !== content) {
+      problems.push(`${file} is out of date`);
+    }
+  });
+  return problems;
+}
+
+function main() {
+  if (process.argv.includes('--check')) {
+    const problems = checkAiContext();
+    if (problems.length > 0) {
+      problems.forEach(problem => console.error(`❌ ${problem}`));
+      console.error('Run: node scripts/build-ai-context.js');
+      process.exit(1);
+    }
+    console.log(`✅ ${AI_CONTEXT_FILE}, ${LLMS_FILE} and ${LLMS_FULL_FILE} are up to date`);
+    return;
+  }
+
+  const { files, errors } = buildAiContextFiles();
+  if (errors.length > 0) {
+    errors.forEach(error => console.error(`❌ ${AI_CONTEXT_FILE}: ${error}`));
+    process.exit(1);
+  }
+
+  Object.entries(files).forEach(([file, content]) => {
+    fs.writeFileSync(path.join(ROOT_DIR, file), content);
+    console.log(`✅ Wrote ${file} (${(Buffer.byteLength(content) / 1024).toFixed(1)} KB)`);
+  });
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = { buildAiContextFiles, checkAiContext, splitPageSections };
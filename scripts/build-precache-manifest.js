@@ -0,0 +1,135 @@
+#!/usr/bin/env node
+
+/**
+ * Precache Manifest Builder
+ *
+ * Walks the deployable files in the built site - pages in every locale, the
+ * search indexes, css/, js/, images/ and the Docusaurus shell in docs/ - and
+ * writes precache-manifest.js with a content hash per file.
+ * service-worker.js imports it, so any change to a listed file changes the
+ * worker's bytes, triggers an update and re-downloads only the files whose
+ * hash changed. scripts/build-site.js runs it as its last step; on its own it
+ * re-hashes an existing dist/:
+ *
+ *   node scripts/build-precache-manifest.js          # write dist/precache-manifest.js
+ *   node scripts/build-precache-manifest.js --check  # exit 1 if it is stale
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { loadLocales } = require('./lib/i18n');
+
+const ROOT_DIR = path.join(__dirname, '..');
+const DIST_DIR = path.join(ROOT_DIR, 'dist');
+const OUTPUT_FILE = path.join(DIST_DIR, 'precache-manifest.js');
+
+// Directories to walk and which of their files belong in the precache.
+// Everything else under docs/ (per-page chunks, doc HTML) is cached at runtime.
+const SOURCES = [
+  { dir: '.', include: /^[^/]+\.html$|^(favicon\.ico|manifest\.json|search-index(\.[\w-]+)?\.json)$/ },
+  { dir: 'css', include: /\.css$/ },
+  { dir: 'js', include: /\.js$/ },
+  { dir: 'images', include: /\.(svg|png|ico)$/ },
+  { dir: 'docs', include: /^docs\/index\.html$|^docs\/assets\/css\/.+\.css$|^docs\/assets\/js\/(runtime~)?main\.[0-9a-f]+\.js$/ }
+];
+
+// Deployed but not needed offline
+const EXCLUDED_FILES = new Set([
+  '404.html',
+  'test-ios-webapp.html',
+  'images/olocus-og-image.png'
+]);
+
+const REVISION_LENGTH = 10;
+
+function listFiles(siteDir, dir) {
+  const absoluteDir = path.join(siteDir, dir);
+  if (!fs.existsSync(absoluteDir)) return [];
+  // Only top-level files of the site root; its directories have their own sources
+  if (dir === '.') {
+    return fs.readdirSync(absoluteDir, { withFileTypes: true })
+      .filter(entry => entry.isFile())
+      .map(entry => entry.name);
+  }
+  return fs.readdirSync(absoluteDir, { withFileTypes: true }).flatMap(entry => {
+    const relative = path.posix.join(dir, entry.name);
+    return entry.isDirectory() ? listFiles(siteDir, relative) : [relative];
+  });
+}
+
+/**
+ * URL a file is served at: pages use the host's clean URLs (/about, /docs/)
+ */
+function getFileUrl(file) {
+  if (file === 'index.html') return '/';
+  if (file.endsWith('/index.html')) return `/${file.slice(0, -'index.html'.length)}`;
+  if (file.endsWith('.html')) return `/${file.slice(0, -'.html'.length)}`;
+  return `/${file}`;
+}
+
+function hashContent(content, length) {
+  return crypto.createHash('sha256').update(content).digest('hex').slice(0, length);
+}
+
+// SOURCES plus the top-level pages of each locale's directory, /de/ and so on
+function getSources() {
+  const { defaultLocale, locales } = loadLocales();
+  return [
+    ...SOURCES,
+    ...locales
+      .filter(locale => locale.code !== defaultLocale)
+      .map(({ code }) => ({ dir: code, include: new RegExp(`^${code}/[^/]+\\.html$`) }))
+  ];
+}
+
+function buildPrecacheManifest(siteDir = DIST_DIR) {
+  const entries = getSources()
+    .flatMap(source => listFiles(siteDir, source.dir).filter(file => source.include.test(file)))
+    .filter(file => !EXCLUDED_FILES.has(file))
+    .sort()
+    .map(file => ({
+      url: getFileUrl(file),
+      revision: hashContent(fs.readFileSync(path.join(siteDir, file)), REVISION_LENGTH)
+    }));
+
+  return {
+    version: hashContent(JSON.stringify(entries), 12),
+    entries
+  };
+}
+
+function renderManifest(manifest) {
+  return '// Generated by scripts/build-precache-manifest.js - do not edit by hand\n' +
+    `self.__PRECACHE_MANIFEST = ${JSON.stringify(manifest, null, 2)};\n`;
+}
+
+function main() {
+  if (!fs.existsSync(DIST_DIR)) {
+    console.error('❌ dist/ not found. Run: node scripts/build-site.js');
+    process.exit(1);
+  }
+
+  const manifest = buildPrecacheManifest();
+  const output = renderManifest(manifest);
+  const relativeOutput = path.relative(ROOT_DIR, OUTPUT_FILE);
+
+  if (process.argv.includes('--check')) {
+    const current = fs.existsSync(OUTPUT_FILE) ? fs.readFileSync(OUTPUT_FILE, 'utf8') : '';
+    if (current !== output) {
+      console.error(`❌ ${relativeOutput} is out of date. Run: node scripts/build-site.js`);
+      process.exit(1);
+    }
+    console.log(`✅ ${relativeOutput} is up to date (${manifest.version})`);
+    return;
+  }
+
+  fs.writeFileSync(OUTPUT_FILE, output);
+  console.log(`✅ Wrote ${manifest.entries.length} entries to ${relativeOutput} (${manifest.version})`);
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = { buildPrecacheManifest, renderManifest, getFileUrl };
@@ -0,0 +1,243 @@
+#!/usr/bin/env node
+
+/**
+ * Search Index Builder
+ *
+ * Renders the marketing pages in pages/ and crawls them and their
+ * `<section id>` anchors, plus the Docusaurus markdown under docs-setup/docs,
+ * and writes one index per locale in locales/locales.json: search-index.json
+ * for the default locale and search-index.<locale>.json for the others, with
+ * the translated pages and localized URLs. Pages not yet published in a
+ * locale (see scripts/build-site.js) are indexed in the default locale. The header search (js/search.js)
+ * and the docs search bar (docs-setup/src/theme/SearchBar) fetch the index
+ * for their page's locale on first use.
+ * Run it whenever page copy, translations or docs change:
+ *
+ *   node scripts/build-search-index.js
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const html = require('./lib/html');
+const markdown = require('./lib/markdown');
+const { DOCS_SOURCE_DIR, findMarkdownFiles, getDocUrl } = require('./lib/docs');
+const { localizePath } = require('./lib/i18n');
+const { renderPage, loadContext, isPublished } = require('./build-site');
+const { INDEX_VERSION, getIndexUrl } = require('../js/search-engine');
+
+const ROOT_DIR = path.join(__dirname, '..');
+const PAGES_DIR = path.join(ROOT_DIR, 'pages');
+
+// Pages in pages/ that make up the public site, in navigation order
+const PAGES = [
+  { file: 'index.html', url: '/' },
+  { file: 'about.html', url: '/about' },
+  { file: 'technology.html', url: '/technology' },
+  { file: 'vision.html', url: '/vision' },
+  { file: 'enterprise.html', url: '/enterprise' },
+  { file: 'privacy.html', url: '/privacy' },
+  { file: 'terms.html', url: '/terms' }
+];
+
+const HEADING_TAGS = new Set(['h1', 'h2', 'h3', 'h4', 'h5', 'h6']);
+
+function getMetaContent(doc, name) {
+  const meta = html.findFirst(doc, el =>
+    el.tagName === 'meta' && (html.getAttribute(el, 'name') || '').toLowerCase() === name
+  );
+  return meta ? (html.getAttribute(meta, 'content') || '').trim() : '';
+}
+
+function getHeadings(node) {
+  return html.findAll(node, el => HEADING_TAGS.has(el.tagName))
+    .map(el => html.textContent(el))
+    .filter(Boolean);
+}
+
+function splitKeywords(value) {
+  return value.split(',').map(keyword => keyword.trim()).filter(Boolean);
+}
+
+function buildPageEntries(page, context, locale) {
+  const doc = html.parse(renderPage(page.file, context, locale));
+
+  const titleElement = html.findFirst(doc, el => el.tagName === 'title');
+  const body = html.findFirst(doc, el => el.tagName === 'body') || doc;
+  const main = html.findFirst(body, el => el.tagName === 'main') || body;
+
+  const title = titleElement ? html.textContent(titleElement) : page.url;
+  const description = getMetaContent(doc, 'description');
+  const keywords = splitKeywords(getMetaContent(doc, 'keywords'));
+
+  const entries = [{
+    id: page.url,
+    type: 'page',
+    section: 'site',
+    url: page.url,
+    page: title,
+    title,
+    description,
+    headings: getHeadings(main),
+    keywords,
+    content: html.textContent(main)
+  }];
+
+  html.findAll(body, el => el.tagName === 'section' && html.getAttribute(el, 'id'))
+    .forEach(section => {
+      const id = html.getAttribute(section, 'id');
+      const headings = getHeadings(section);
+      const url = page.url === '/' ? `/#${id}` : `${page.url}#${id}`;
+
+      entries.push({
+        id: url,
+        type: 'section',
+        section: 'site',
+        url,
+        page: title,
+        title: headings[0] || html.getAttribute(section, 'aria-label') || id,
+        description: html.getAttribute(section, 'aria-label') || '',
+        headings: headings.slice(1),
+        keywords: [],
+        content: html.textContent(section)
+      });
+    });
+
+  return entries;
+}
+
+function splitFrontMatterList(value) {
+  if (Array.isArray(value)) return value;
+  if (typeof value !== 'string') return [];
+  return value.replace(/^\[|\]$/g, '').split(',').map(item => item.trim()).filter(Boolean);
+}
+
+/**
+ * The search index entries of one doc: the page itself, then one per h2
+ * section. With `paragraphs` set their content keeps its paragraphs (see
+ * markdown.toPlainText) rather than being one line.
+ */
+function buildDocEntries(filePath, localizeUrl, { paragraphs = false } = {}) {
+  const relativePath = path.relative(DOCS_SOURCE_DIR, filePath).split(path.sep).join('/');
+  const { data, body } = markdown.parseFrontMatter(fs.readFileSync(filePath, 'utf8'));
+
+  if (data.draft === true || data.unlisted === true) {
+    return [];
+  }
+
+  const url = localizeUrl(getDocUrl(relativePath, data));
+  const { intro, sections } = markdown.splitSections(body, 2);
+  const h1 = sections.find(section => section.level === 1);
+  const title = data.title || (h1 && h1.title) || data.id || relativePath;
+  const introText = markdown.toPlainText(intro, { paragraphs });
+
+  const entries = [{
+    id: url,
+    type: 'page',
+    section: 'docs',
+    url,
+    page: title,
+    title,
+    description: data.description || '',
+    headings: markdown.extractHeadings(body, 3),
+    keywords: splitFrontMatterList(data.keywords),
+    content: introText
+  }];
+
+  // Docusaurus de-duplicates repeated heading anchors with -1, -2, ...
+  const anchorCounts = {};
+  sections.forEach(section => {
+    const text = markdown.toPlainText(section.body, { paragraphs });
+    if (section.level === 1) {
+      entries[0].content = [introText, text].filter(Boolean).join(paragraphs ? '\n\n' : ' ');
+      return;
+    }
+
+    const count = anchorCounts[section.anchor] || 0;
+    anchorCounts[section.anchor] = count + 1;
+    const anchor = count === 0 ? section.anchor : `${section.anchor}-${count}`;
+
+    entries.push({
+      id: `${url}#${anchor}`,
+      type: 'section',
+      section: 'docs',
+      url: `${url}#${anchor}`,
+      page: title,
+      title: section.title,
+      description: '',
+      headings: markdown.extractHeadings(section.body, 3),
+      keywords: [],
+      content: text
+    });
+  });
+
+  // Fall back to the opening prose so results for intro-less docs have an excerpt
+  if (!entries[0].description) {
+    const opening = (entries.map(entry => entry.content).find(Boolean) || '')
+      .replace(/^(#### |- )/gm, '')
+      .replace(/\s+/g, ' ');
+    entries[0].description = opening.length > 160 ? `${opening.slice(0, 157).trim()}...` : opening;
+  }
+
+  return entries;
+}
+
+/**
+ * Index for `locale`, which defaults to the site's default locale.
+ */
+function buildSearchIndex(locale, context = loadContext()) {
+  const { defaultLocale } = context.locales;
+  const code = locale || defaultLocale;
+  const localizeUrl = url => localizePath(url, code, defaultLocale);
+  const entries = [];
+
+  PAGES.forEach(page => {
+    if (!fs.existsSync(path.join(PAGES_DIR, page.file))) {
+      console.warn(`⚠️  Page not found: ${page.file}`);
+      return;
+    }
+    const pageLocale = isPublished(context, page.url, code) ? code : defaultLocale;
+    const pageUrl = localizePath(page.url, pageLocale, defaultLocale);
+    const pageEntries = buildPageEntries({ ...page, url: pageUrl }, context, pageLocale);
+    console.log(`📄 ${code}/${page.file}: ${pageEntries.length} entr${pageEntries.length === 1 ? 'y' : 'ies'}`);
+    entries.push(...pageEntries);
+  });
+
+  if (fs.existsSync(DOCS_SOURCE_DIR)) {
+    const docFiles = findMarkdownFiles(DOCS_SOURCE_DIR);
+    let docEntryCount = 0;
+    docFiles.forEach(file => {
+      const docEntries = buildDocEntries(file, localizeUrl);
+      docEntryCount += docEntries.length;
+      entries.push(...docEntries);
+    });
+    console.log(`📚 docs: ${docFiles.length} pages, ${docEntryCount} entries`);
+  } else {
+    console.warn(`⚠️  Docs source not found: ${path.relative(ROOT_DIR, DOCS_SOURCE_DIR)}`);
+  }
+
+  const hash = crypto.createHash('sha256')
+    .update(JSON.stringify(entries))
+    .digest('hex')
+    .slice(0, 12);
+
+  return { version: INDEX_VERSION, hash, entries };
+}
+
+function main() {
+  console.log('🔎 Building search indexes...');
+  const context = loadContext();
+  context.locales.locales.forEach(({ code }) => {
+    const index = buildSearchIndex(code, context);
+    const outputFile = path.join(ROOT_DIR, getIndexUrl(code));
+    // Written without indentation: the file is downloaded by every searching visitor
+    fs.writeFileSync(outputFile, JSON.stringify(index) + '\n');
+    console.log(`✅ Wrote ${index.entries.length} entries to ${path.relative(ROOT_DIR, outputFile)} (${index.hash})`);
+  });
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = { buildSearchIndex, buildDocEntries, getDocUrl, PAGES };
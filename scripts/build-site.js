@@ -0,0 +1,423 @@
+#!/usr/bin/env node
+
+/**
+ * Static Site Builder
+ *
+ * Renders every page in pages/ through the layout in
+ * templates/page-template.html, inlining the header and footer partials from
+ * templates/partials, and writes the result with the site's static files to
+ * dist/. Pages arrive with their navigation already in the markup, so nothing
+ * is fetched at runtime and the site works without JavaScript.
+ *
+ * A page source starts with flat front matter followed by named blocks:
+ *
+ *   ---
+ *   title: About - Olocus
+ *   description: ...
+ *   keywords: ...
+ *   path: /about
+ *   ---
+ *   <!-- block:head -->     page styles, placed after common.css
+ *   <!-- block:jsonld -->   page-specific structured data (optional)
+ *   <!-- block:content -->  everything between the header and the footer
+ *   <!-- block:scripts -->  page-specific scripts (optional)
+ *
+ * Optional front matter: robots, ogType, ogTitle, ogDescription, ogImage,
+ * prefetch (comma separated paths), the sitemap fields changefreq, priority,
+ * sitemapImage, sitemapImageTitle and sitemapImageCaption (see
+ * scripts/build-sitemap.js) and the structured data fields itemtype,
+ * datePublished, faq and breadcrumb.
+ * The header's menu comes from templates/navigation.json (see
+ * scripts/lib/navigation.js) with the page at `path` marked as current.
+ *
+ * Every page gets a JSON-LD graph of the organization (from
+ * templates/ai-context.json), the website, the page and its breadcrumbs,
+ * built by scripts/lib/structured-data.js from the rendered page.
+ * `itemtype` is the page's schema.org type, a WebPage subtype or an Article
+ * subtype for pages that are an article (published on `datePublished`);
+ * `faq` is a selector for a section of questions (<h3>) and answers that
+ * becomes a FAQPage; and `breadcrumb` names the page in breadcrumbs instead
+ * of its title. The jsonld block is a JSON object merged into the article or
+ * page node.
+ *
+ * Every page is also built for each locale in locales/locales.json whose
+ * catalog translates at least `minTranslated` of the page's messages, under
+ * /<locale>/, translated from the locale's message catalog (see
+ * scripts/lib/i18n.js) and linked to its other versions with hreflang
+ * alternates in the page head and in the sitemap. Until a page is translated
+ * that far, links to it from translated pages lead to the default-locale page.
+ *
+ * The build stops while ai-context.json, llms.txt or llms-full.txt is out of
+ * date with the pages, docs and templates/ai-context.json (see
+ * scripts/build-ai-context.js).
+ *
+ *   node scripts/build-site.js
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { PAGES_DIR, readPage, listPages } = require('./lib/pages');
+const { loadNavigation, renderNavigation, normalizePath } = require('./lib/navigation');
+const i18n = require('./lib/i18n');
+const html = require('./lib/html');
+const structuredData = require('./lib/structured-data');
+const { buildPrecacheManifest, renderManifest } = require('./build-precache-manifest');
+const { buildSitemaps, getLastModified, ensureHistory } = require('./build-sitemap');
+const { getIndexUrl } = require('../js/search-engine');
+
+const ROOT_DIR = path.join(__dirname, '..');
+const LAYOUT_FILE = path.join(ROOT_DIR, 'templates/page-template.html');
+const PARTIALS_DIR = path.join(ROOT_DIR, 'templates/partials');
+const DIST_DIR = path.join(ROOT_DIR, 'dist');
+const AI_CONTEXT_FILE = path.join(ROOT_DIR, 'templates/ai-context.json');
+const SITE_URL = 'https://olocus.com';
+
+// Deployed as-is next to the rendered pages
+const STATIC_FILES = [
+  '.well-known',
+  'css',
+  'docs',
+  'images',
+  'js',
+  '404.html',
+  'offline.html',
+  'test-ios-webapp.html',
+  'ai-context.json',
+  'ai-context.schema.json',
+  'llms.txt',
+  'llms-full.txt',
+  'favicon.ico',
+  'manifest.json',
+  'opensearch.xml',
+  'robots.txt',
+  'security.txt',
+  'service-worker.js'
+];
+
+const PAGE_DEFAULTS = {
+  robots: 'index, follow',
+  ogType: 'website',
+  ogImage: '/images/olocus-og-image.png',
+  prefetch: '',
+  itemtype: 'https://schema.org/WebPage',
+  faq: ''
+};
+
+// Page titles end in the site name, which breadcrumbs leave out
+const TITLE_SUFFIX = / - Olocus$/;
+
+const REQUIRED_FIELDS = ['title', 'description', 'keywords', 'path'];
+
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Fill `{{ name }}` (escaped), `{{{ name }}}` (raw) and `{{> partial }}`
+ * placeholders. Partials are rendered with the same variables and indented to
+ * match their placeholder. Unknown names are an error rather than an empty
+ * string, so a typo in the layout can't ship a page with a blank canonical URL.
+ */
+function renderTemplate(template, variables, partials) {
+  const lookup = (source, kind, name, placeholder) => {
+    if (!Object.prototype.hasOwnProperty.call(source, name)) {
+      throw new Error(`Unknown ${kind} in ${placeholder.trim()}`);
+    }
+    return source[name];
+  };
+
+  return template.replace(
+    /^([ \t]*)\{\{>\s*([\w-]+)\s*\}\}|\{\{(\{)?\s*([\w-]+)\s*\}?\}\}/gm,
+    (placeholder, indent, partial, raw, name) => {
+      if (partial) {
+        return renderTemplate(lookup(partials, 'partial', partial, placeholder), variables, partials)
+          .split('\n')
+          .map(line => (line ? indent + line : line))
+          .join('\n');
+      }
+      const value = lookup(variables, 'variable', name, placeholder);
+      return raw ? value : escapeHtml(value);
+    }
+  );
+}
+
+function loadPartials() {
+  const partials = {};
+  fs.readdirSync(PARTIALS_DIR)
+    .filter(file => file.endsWith('.html'))
+    .forEach(file => {
+      partials[path.basename(file, '.html')] = fs.readFileSync(path.join(PARTIALS_DIR, file), 'utf8').replace(/\s+$/, '');
+    });
+  return partials;
+}
+
+/**
+ * The locales the page at `pagePath` is published in, as a locales object
+ * like context.locales: the default locale and each locale that translates
+ * enough of the page.
+ */
+function getPageLocales(context, pagePath) {
+  // Not known yet while findPageLocales renders the pages to measure them
+  if (!context.pageLocales) return context.locales;
+
+  const { defaultLocale, locales } = context.locales;
+  const codes = context.pageLocales.get(normalizePath(pagePath)) || [];
+  return {
+    ...context.locales,
+    locales: locales.filter(locale => locale.code === defaultLocale || codes.includes(locale.code))
+  };
+}
+
+function isPublished(context, pagePath, locale) {
+  return getPageLocales(context, pagePath).locales.some(candidate => candidate.code === locale);
+}
+
+// `pagePath` in `locale`, or in the default locale while it isn't published in `locale`
+function localizePagePath(context, pagePath, locale) {
+  const { defaultLocale } = context.locales;
+  return i18n.localizePath(pagePath, isPublished(context, pagePath, locale) ? locale : defaultLocale, defaultLocale);
+}
+
+function renderLanguageLinks(pagePath, locales, currentLocale) {
+  return locales.locales.map(locale => {
+    const href = i18n.localizePath(pagePath, locale.code, locales.defaultLocale);
+    const current = locale.code === currentLocale ? ' aria-current="true"' : '';
+    return `    <li><a href="${escapeHtml(href)}" hreflang="${locale.code}" lang="${locale.code}" aria-label="${escapeHtml(locale.name)}" translate="no"${current}>${locale.code.toUpperCase()}</a></li>`;
+  }).join('\n');
+}
+
+function getPageVariables(data, blocks, context, locale) {
+  const missing = REQUIRED_FIELDS.filter(field => !data[field]);
+  if (missing.length > 0) {
+    throw new Error(`Missing front matter: ${missing.join(', ')}`);
+  }
+
+  const page = { ...PAGE_DEFAULTS, ...data };
+  const prefetch = String(page.prefetch).split(',').map(href => href.trim()).filter(Boolean);
+  const pagePath = i18n.localizePath(page.path, locale, context.locales.defaultLocale);
+
+  return {
+    lang: locale,
+    ogLocale: i18n.getLocale(context.locales, locale).ogLocale,
+    title: page.title,
+    description: page.description,
+    keywords: page.keywords,
+    robots: page.robots,
+    ogType: page.ogType,
+    ogTitle: page.ogTitle || page.title,
+    ogDescription: page.ogDescription || page.description,
+    ogImageUrl: new URL(page.ogImage, SITE_URL).href,
+    canonicalUrl: new URL(pagePath, SITE_URL).href,
+    alternateLinks: i18n.getAlternates(page.path, getPageLocales(context, page.path), SITE_URL)
+      .map(alternate => `    <link rel="alternate" hreflang="${alternate.hreflang}" href="${escapeHtml(alternate.href)}">`)
+      .join('\n'),
+    prefetchLinks: prefetch.map(href => `    <link rel="prefetch" href="${escapeHtml(href)}">`).join('\n'),
+    ...renderNavigation(context.navigation, page.path),
+    languageLinks: renderLanguageLinks(page.path, getPageLocales(context, page.path), locale),
+    head: blocks.head,
+    content: blocks.content,
+    scripts: blocks.scripts ? `\n${blocks.scripts}` : ''
+  };
+}
+
+/**
+ * Map of page path to the codes of the locales whose catalog translates at
+ * least minTranslated of the page's messages, measured on the page rendered
+ * in the default locale.
+ */
+function findPageLocales(context) {
+  const { defaultLocale, minTranslated, locales } = context.locales;
+  return new Map(listPages().map(file => {
+    const { data } = readPage(file);
+    const messages = i18n.extractMessages(renderPage(file, context));
+    const codes = locales
+      .filter(locale => locale.code !== defaultLocale && i18n.getTranslatedShare(messages, locale.messages) >= minTranslated)
+      .map(locale => locale.code);
+    return [normalizePath(String(data.path)), codes];
+  }));
+}
+
+// Everything a page is rendered with besides its own source
+function loadContext() {
+  const context = {
+    layout: fs.readFileSync(LAYOUT_FILE, 'utf8'),
+    partials: loadPartials(),
+    navigation: loadNavigation(),
+    locales: i18n.loadLocales(),
+    aiContext: JSON.parse(fs.readFileSync(AI_CONTEXT_FILE, 'utf8')),
+    // Front matter by site path, so translated pages know which links to
+    // localize and breadcrumbs can name the pages above them
+    pagesByPath: new Map(listPages().map(file => {
+      const { data } = readPage(file);
+      return [normalizePath(String(data.path || '')), data];
+    }))
+  };
+  context.pageLocales = findPageLocales(context);
+  return context;
+}
+
+// Home, each page above `pagePath` and the page itself, named in `locale`
+function getBreadcrumbs(pagePath, context, locale, translate) {
+  const segments = normalizePath(pagePath).split('/').filter(Boolean);
+  if (segments.length === 0) return [];
+
+  const paths = ['/', ...segments.map((segment, index) => `/${segments.slice(0, index + 1).join('/')}`)];
+  return paths.filter(crumbPath => context.pagesByPath.has(crumbPath)).map(crumbPath => {
+    const data = context.pagesByPath.get(crumbPath);
+    const name = crumbPath === '/' ? 'Home' : data.breadcrumb || data.title;
+    return {
+      name: translate(String(name)).replace(TITLE_SUFFIX, ''),
+      url: localizePagePath(context, crumbPath, locale)
+    };
+  });
+}
+
+/**
+ * Add the page's JSON-LD to the rendered `output` in `locale`, built from
+ * its final copy so translated pages describe themselves in their language.
+ */
+function addStructuredData(output, file, data, blocks, context, locale) {
+  const { defaultLocale } = context.locales;
+  const { messages } = i18n.getLocale(context.locales, locale);
+  const translate = message => (locale !== defaultLocale && messages[message]) || message;
+  const source = path.join(PAGES_DIR, file);
+
+  let extra = {};
+  if (blocks.jsonld) {
+    try {
+      extra = JSON.parse(blocks.jsonld);
+    } catch (error) {
+      throw new Error(`Invalid JSON in block:jsonld: ${error.message}`);
+    }
+  }
+
+  const graph = structuredData.buildPageGraph(html.parse(output), {
+    aiContext: context.aiContext,
+    page: { ...PAGE_DEFAULTS, ...data },
+    extra,
+    crumbs: getBreadcrumbs(data.path, context, locale, translate),
+    dateModified: getLastModified(locale === defaultLocale
+      ? [source]
+      : [source, path.join(i18n.LOCALES_DIR, `${locale}.json`)]),
+    searchUrl: localizePagePath(context, '/search', locale)
+  });
+
+  // "</" can't appear inside a <script>
+  const json = JSON.stringify(graph, null, 2).replace(/<\//g, '<\\/');
+  const script = [
+    '    <script type="application/ld+json">',
+    ...json.split('\n').map(line => `    ${line}`),
+    '    </script>'
+  ].join('\n');
+  return output.replace('</head>', `${script}\n</head>`);
+}
+
+/**
+ * Render one file from pages/ (e.g. "about.html") to a complete HTML document
+ * in `locale`, which defaults to the site's default locale.
+ */
+function renderPage(file, context = loadContext(), locale = context.locales.defaultLocale) {
+  const { data, blocks } = readPage(file);
+  const { defaultLocale } = context.locales;
+  try {
+    let page = renderTemplate(context.layout, getPageVariables(data, blocks, context, locale), context.partials);
+    if (locale !== defaultLocale) {
+      const { messages } = i18n.getLocale(context.locales, locale);
+      const translated = i18n.translateHtml(page, message => messages[message]);
+      page = i18n.localizeLinks(translated, locale, defaultLocale, pathname =>
+        context.pagesByPath.has(normalizePath(pathname)) && isPublished(context, pathname, locale)
+      );
+    }
+    return addStructuredData(page, file, data, blocks, context, locale);
+  } catch (error) {
+    error.message = `${file}: ${error.message}`;
+    throw error;
+  }
+}
+
+function buildSite(context = loadContext()) {
+  const pages = listPages();
+
+  fs.rmSync(DIST_DIR, { recursive: true, force: true });
+  fs.mkdirSync(DIST_DIR, { recursive: true });
+
+  const sitemapPages = pages.map(file => ({
+    file,
+    data: readPage(file).data
+  }));
+
+  context.locales.locales.forEach(({ code }) => {
+    const localeDir = code === context.locales.defaultLocale ? DIST_DIR : path.join(DIST_DIR, code);
+    sitemapPages.forEach(({ file, data }) => {
+      if (!isPublished(context, data.path, code)) {
+        console.log(`⏭️  ${path.posix.join(code, file)}: not translated enough to publish`);
+        return;
+      }
+      const output = path.join(localeDir, file);
+      fs.mkdirSync(path.dirname(output), { recursive: true });
+      fs.writeFileSync(output, renderPage(file, context, code));
+      console.log(`📄 ${path.relative(DIST_DIR, output)}`);
+    });
+  });
+
+  STATIC_FILES.forEach(file => {
+    const source = path.join(ROOT_DIR, file);
+    if (!fs.existsSync(source)) {
+      console.warn(`⚠️  Static file not found: ${file}`);
+      return;
+    }
+    fs.cpSync(source, path.join(DIST_DIR, file), { recursive: true });
+  });
+
+  // One search index per locale, from scripts/build-search-index.js
+  context.locales.locales.forEach(({ code }) => {
+    const file = getIndexUrl(code).slice(1);
+    if (!fs.existsSync(path.join(ROOT_DIR, file))) {
+      console.warn(`⚠️  Search index not found: ${file}`);
+      return;
+    }
+    fs.copyFileSync(path.join(ROOT_DIR, file), path.join(DIST_DIR, file));
+  });
+
+  // After the docs are copied, so the sitemap index can list theirs
+  buildSitemaps(DIST_DIR, sitemapPages, context.locales);
+
+  // Hashed from the output, so the precache matches exactly what is deployed
+  const manifest = buildPrecacheManifest(DIST_DIR);
+  fs.writeFileSync(path.join(DIST_DIR, 'precache-manifest.js'), renderManifest(manifest));
+
+  return { pages, locales: context.locales.locales.map(locale => locale.code), manifest };
+}
+
+function main() {
+  console.log('🏗️  Building site...');
+  const context = loadContext();
+
+  // Required here, not at the top, as it requires this module
+  const { checkAiContext } = require('./build-ai-context');
+  const problems = checkAiContext(context);
+  if (problems.length > 0) {
+    problems.forEach(problem => console.error(`❌ ${problem}`));
+    console.error('Run: node scripts/build-ai-context.js');
+    process.exit(1);
+  }
+
+  if (!ensureHistory()) {
+    console.warn('⚠️  Shallow clone: every page is dated to its latest commit in the sitemap');
+  }
+
+  const { pages, locales, manifest } = buildSite(context);
+  console.log(`✅ Rendered ${pages.length} pages in ${locales.length} locales to ${path.relative(ROOT_DIR, DIST_DIR)}/ (precache ${manifest.version}, ${manifest.entries.length} files)`);
+}
+
+// Exported before main() runs: the build requires scripts/build-ai-context.js,
+// which renders pages with this module
+module.exports = { buildSite, renderPage, renderTemplate, loadContext, getPageLocales, isPublished };
+
+if (require.main === module) {
+  main();
+}
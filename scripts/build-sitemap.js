@@ -0,0 +1,260 @@
+#!/usr/bin/env node
+
+/**
+ * Sitemap Builder
+ *
+ * Writes the sitemaps of the built site:
+ *
+ * - sitemap-pages.xml lists every indexable page in pages/ (robots without
+ *   noindex) in every locale it was built in, with its hreflang alternates,
+ *   `changefreq` and `priority` from the page's front matter and an optional
+ *   image from `sitemapImage`, `sitemapImageTitle` and `sitemapImageCaption`.
+ *   `lastmod` is the date of the last commit touching the page source (and,
+ *   for a translation, the locale's catalog), or of the file itself while it
+ *   has uncommitted changes. A shallow clone is deepened first.
+ * - sitemap.xml, the file robots.txt points to, is a sitemap index of
+ *   sitemap-pages.xml and the sitemaps the Docusaurus build wrote to docs/
+ *   (docs/sitemap.xml and docs/<locale>/sitemap.xml).
+ *
+ * scripts/build-site.js runs it after copying the docs into dist/; on its own
+ * it rewrites the sitemaps of an existing dist/:
+ *
+ *   node scripts/build-sitemap.js
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const i18n = require('./lib/i18n');
+const { PAGES_DIR, readPage, listPages } = require('./lib/pages');
+
+const ROOT_DIR = path.join(__dirname, '..');
+const DIST_DIR = path.join(ROOT_DIR, 'dist');
+const SITE_URL = 'https://olocus.com';
+
+const PAGES_SITEMAP = 'sitemap-pages.xml';
+const INDEX_SITEMAP = 'sitemap.xml';
+
+const CHANGEFREQS = ['always', 'hourly', 'daily', 'weekly', 'monthly', 'yearly', 'never'];
+
+const SITEMAP_DEFAULTS = {
+  robots: 'index, follow',
+  changefreq: 'monthly',
+  priority: 0.5
+};
+
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function git(args) {
+  try {
+    return execFileSync('git', args, { cwd: ROOT_DIR, encoding: 'utf8', stdio: ['ignore', 'pipe', 'ignore'] }).trim();
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Fetches the full history into a shallow clone, such as the one the
+ * Cloudflare Pages build starts from, so `lastmod` dates each page by its own
+ * last commit. Returns false if the clone stays shallow (no remote or no
+ * network).
+ */
+function ensureHistory() {
+  if (git(['rev-parse', '--is-shallow-repository']) !== 'true') return true;
+
+  try {
+    execFileSync('git', ['fetch', '--quiet', '--unshallow'], {
+      cwd: ROOT_DIR,
+      stdio: 'ignore',
+      timeout: 120000,
+      env: { ...process.env, GIT_TERMINAL_PROMPT: '0' }
+    });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Date (YYYY-MM-DD) `files` last changed: their latest commit, or their
+ * newest modification time when one of them is uncommitted or git history
+ * isn't available. A shallow clone dates every file to its one commit.
+ */
+function getLastModified(files) {
+  const relativeFiles = files.map(file => path.relative(ROOT_DIR, file));
+  const committed = git(['log', '-1', '--format=%cI', '--', ...relativeFiles]);
+  const uncommitted = git(['status', '--porcelain', '--', ...relativeFiles]);
+
+  if (committed && uncommitted === '') {
+    return committed.slice(0, 10);
+  }
+
+  const newest = Math.max(...files.filter(file => fs.existsSync(file)).map(file => fs.statSync(file).mtimeMs));
+  return new Date(newest).toISOString().slice(0, 10);
+}
+
+/**
+ * One entry per indexable page and locale. `pages` are `{ file, data,
+ * locales }`, the file in pages/, its front matter and optionally the codes
+ * of the locales it is published in (all of them if left out).
+ */
+function getSitemapEntries(pages, locales, lastModified = getLastModified) {
+  const { defaultLocale } = locales;
+
+  return pages.flatMap(({ file, data, locales: codes }) => {
+    const page = { ...SITEMAP_DEFAULTS, ...data };
+    if (/\bnoindex\b/i.test(page.robots)) return [];
+
+    if (!CHANGEFREQS.includes(page.changefreq)) {
+      throw new Error(`${file}: changefreq must be one of ${CHANGEFREQS.join(', ')}`);
+    }
+    const priority = Number(page.priority);
+    if (!(priority >= 0 && priority <= 1)) {
+      throw new Error(`${file}: priority must be between 0.0 and 1.0`);
+    }
+
+    const source = path.join(PAGES_DIR, file);
+    const pageLocales = codes ? { ...locales, locales: locales.locales.filter(locale => codes.includes(locale.code)) } : locales;
+    const alternates = i18n.getAlternates(page.path, pageLocales, SITE_URL);
+    const image = page.sitemapImage
+      ? { loc: new URL(page.sitemapImage, SITE_URL).href, title: page.sitemapImageTitle, caption: page.sitemapImageCaption }
+      : null;
+
+    return pageLocales.locales.map(locale => ({
+      loc: new URL(i18n.localizePath(page.path, locale.code, defaultLocale), SITE_URL).href,
+      lastmod: lastModified(locale.code === defaultLocale
+        ? [source]
+        : [source, path.join(i18n.LOCALES_DIR, `${locale.code}.json`)]),
+      changefreq: page.changefreq,
+      priority: priority.toFixed(1),
+      image,
+      alternates
+    }));
+  });
+}
+
+function renderUrlset(entries) {
+  const urls = entries.map(entry => {
+    const lines = [
+      '  <url>',
+      `    <loc>${escapeXml(entry.loc)}</loc>`,
+      `    <lastmod>${entry.lastmod}</lastmod>`,
+      `    <changefreq>${entry.changefreq}</changefreq>`,
+      `    <priority>${entry.priority}</priority>`
+    ];
+    if (entry.image) {
+      lines.push('    <image:image>', `      <image:loc>${escapeXml(entry.image.loc)}</image:loc>`);
+      if (entry.image.title) lines.push(`      <image:title>${escapeXml(entry.image.title)}</image:title>`);
+      if (entry.image.caption) lines.push(`      <image:caption>${escapeXml(entry.image.caption)}</image:caption>`);
+      lines.push('    </image:image>');
+    }
+    entry.alternates.forEach(alternate => {
+      lines.push(`    <xhtml:link rel="alternate" hreflang="${alternate.hreflang}" href="${escapeXml(alternate.href)}"/>`);
+    });
+    lines.push('  </url>');
+    return lines.join('\n');
+  });
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<!-- Generated by scripts/build-sitemap.js - do not edit by hand -->',
+    '<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9"',
+    '        xmlns:image="http://www.google.com/schemas/sitemap-image/1.1"',
+    '        xmlns:xhtml="http://www.w3.org/1999/xhtml">',
+    ...urls,
+    '</urlset>',
+    ''
+  ].join('\n');
+}
+
+function renderSitemapIndex(sitemaps) {
+  const entries = sitemaps.map(sitemap => [
+    '  <sitemap>',
+    `    <loc>${escapeXml(sitemap.loc)}</loc>`,
+    ...(sitemap.lastmod ? [`    <lastmod>${sitemap.lastmod}</lastmod>`] : []),
+    '  </sitemap>'
+  ].join('\n'));
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<!-- Generated by scripts/build-sitemap.js - do not edit by hand -->',
+    '<sitemapindex xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">',
+    ...entries,
+    '</sitemapindex>',
+    ''
+  ].join('\n');
+}
+
+// Newest of a list of YYYY-MM-DD or W3C datetime strings
+function latest(dates) {
+  return dates.filter(Boolean).sort().pop() || null;
+}
+
+// The Docusaurus sitemaps in `siteDir`, default locale first
+function findDocsSitemaps(siteDir) {
+  const docsDir = path.join(siteDir, 'docs');
+  if (!fs.existsSync(docsDir)) return [];
+
+  const localeSitemaps = fs.readdirSync(docsDir, { withFileTypes: true })
+    .filter(entry => entry.isDirectory())
+    .map(entry => path.posix.join('docs', entry.name, 'sitemap.xml'))
+    .filter(file => fs.existsSync(path.join(siteDir, file)))
+    .sort();
+
+  return ['docs/sitemap.xml', ...localeSitemaps].filter(file => fs.existsSync(path.join(siteDir, file)));
+}
+
+/**
+ * Write sitemap-pages.xml and the sitemap.xml index into `siteDir`, listing
+ * each page in the locales `siteDir` has it in. Returns the page `entries`
+ * and the `sitemaps` listed in the index.
+ */
+function buildSitemaps(siteDir, pages, locales, lastModified = getLastModified) {
+  const builtPages = pages.map(page => ({
+    ...page,
+    locales: locales.locales
+      .filter(locale => fs.existsSync(path.join(siteDir, locale.code === locales.defaultLocale ? '' : locale.code, page.file)))
+      .map(locale => locale.code)
+  }));
+  const entries = getSitemapEntries(builtPages, locales, lastModified);
+  fs.writeFileSync(path.join(siteDir, PAGES_SITEMAP), renderUrlset(entries));
+
+  const sitemaps = [
+    { loc: new URL(`/${PAGES_SITEMAP}`, SITE_URL).href, lastmod: latest(entries.map(entry => entry.lastmod)) },
+    ...findDocsSitemaps(siteDir).map(file => {
+      const xml = fs.readFileSync(path.join(siteDir, file), 'utf8');
+      const dates = [...xml.matchAll(/<lastmod>([^<]+)<\/lastmod>/g)].map(match => match[1].trim());
+      return { loc: new URL(`/${file}`, SITE_URL).href, lastmod: latest(dates) };
+    })
+  ];
+  fs.writeFileSync(path.join(siteDir, INDEX_SITEMAP), renderSitemapIndex(sitemaps));
+
+  return { entries, sitemaps };
+}
+
+function main() {
+  if (!fs.existsSync(DIST_DIR)) {
+    console.error('❌ dist/ not found. Run: node scripts/build-site.js');
+    process.exit(1);
+  }
+  if (!ensureHistory()) {
+    console.warn('⚠️  Shallow clone: every page is dated to its latest commit');
+  }
+
+  const pages = listPages().map(file => ({ file, data: readPage(file).data }));
+
+  const { entries, sitemaps } = buildSitemaps(DIST_DIR, pages, i18n.loadLocales());
+  console.log(`✅ Wrote ${entries.length} URLs to dist/${PAGES_SITEMAP} and ${sitemaps.length} sitemaps to the dist/${INDEX_SITEMAP} index`);
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = { buildSitemaps, getSitemapEntries, getLastModified, ensureHistory, renderUrlset, renderSitemapIndex };
@@ -0,0 +1,326 @@
+#!/usr/bin/env node
+
+/**
+ * Offline Link Checker
+ *
+ * Resolves every internal reference in the built site against the files in
+ * dist/, without fetching anything:
+ *
+ * - href, src, srcset and poster attributes, and og:/twitter: URL meta tags,
+ *   in every page (the rendered partials included) and in the Docusaurus
+ *   build under dist/docs/
+ * - URLs in sitemap.xml and docs/sitemap.xml, manifest.json, ai-context.json
+ *   and security.txt
+ *
+ * Links to https://olocus.com count as internal; other hosts, mailto: and the
+ * like are skipped. A #fragment must name an id (or <a name>) on the target
+ * page. Indexable pages that no sitemap lists are reported as orphans, and
+ * sitemap URLs without a file behind them as dead entries. Docusaurus only
+ * warns about its broken links (onBrokenLinks in docs-setup), so the docs
+ * build is checked here too.
+ *
+ *   node scripts/build-site.js && node scripts/check-links.js [dir]
+ *
+ * Exits with 1 when anything is broken.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const html = require('./lib/html');
+
+const SITE_ORIGIN = 'https://olocus.com';
+
+const URL_ATTRIBUTES = ['href', 'src', 'poster'];
+
+// <meta property|name> whose content is a URL on the site
+const URL_META = new Set(['og:url', 'og:image', 'twitter:url', 'twitter:image']);
+
+// Where to start; sitemaps listed in a sitemap index are checked as well
+const SITEMAPS = ['sitemap.xml', 'docs/sitemap.xml'];
+const JSON_FILES = ['manifest.json', 'ai-context.json'];
+const SECURITY_TXT_FILES = ['security.txt', '.well-known/security.txt'];
+
+// Every element id (and <a name>) in an HTML file, cached per file
+const anchorCache = new Map();
+
+function getAnchors(rootDir, file) {
+  if (!anchorCache.has(file)) {
+    const document = html.parse(fs.readFileSync(path.join(rootDir, file), 'utf8'));
+    const anchors = new Set();
+    html.walk(document, element => {
+      if (element.attrs.id) anchors.add(element.attrs.id);
+      if (element.tagName === 'a' && element.attrs.name) anchors.add(element.attrs.name);
+    });
+    anchorCache.set(file, anchors);
+  }
+  return anchorCache.get(file);
+}
+
+function isFile(file) {
+  try {
+    return fs.statSync(file).isFile();
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * The file under `rootDir` that serves `pathname`, the way the static host
+ * does: "/about" is about.html or about/index.html and "/docs/" is
+ * docs/index.html. Returns the relative path or null.
+ */
+function resolvePath(rootDir, pathname) {
+  let decoded;
+  try {
+    decoded = decodeURIComponent(pathname);
+  } catch (error) {
+    return null;
+  }
+
+  const relative = decoded.replace(/^\/+/, '');
+  const candidates = relative === '' || relative.endsWith('/')
+    ? [`${relative}index.html`]
+    : [relative, `${relative}.html`, `${relative}/index.html`];
+
+  const found = candidates.find(candidate => isFile(path.join(rootDir, candidate)));
+  return found ? found.split(path.sep).join('/') : null;
+}
+
+// URL of a file in the site directory, matching how the pages link to it
+function getFileUrl(file) {
+  const pathname = file.replace(/(^|\/)index\.html$/, '$1').replace(/\.html$/, '');
+  return `/${pathname}`;
+}
+
+/**
+ * Check one reference found in `source` (a file relative to `rootDir`).
+ * Returns a problem description or null when the reference resolves or
+ * isn't internal.
+ */
+function checkReference(rootDir, source, reference) {
+  const value = reference.trim();
+  if (!value || /^(mailto|tel|javascript|data|blob|sms):/i.test(value)) return null;
+
+  const base = new URL(getFileUrl(source), SITE_ORIGIN);
+  let url;
+  try {
+    url = new URL(value, base);
+  } catch (error) {
+    return 'invalid URL';
+  }
+  if (url.origin !== SITE_ORIGIN) return null;
+
+  const samePage = value.startsWith('#');
+  const target = samePage ? source : resolvePath(rootDir, url.pathname);
+  if (!target) return 'no such file';
+
+  const fragment = url.hash.slice(1);
+  if (!fragment || fragment === 'top' || !target.endsWith('.html')) return null;
+
+  let id;
+  try {
+    id = decodeURIComponent(fragment);
+  } catch (error) {
+    id = fragment;
+  }
+  return getAnchors(rootDir, target).has(id) ? null : `no element with id "${id}" in ${target}`;
+}
+
+function lineOf(content, index) {
+  return content.slice(0, index).split('\n').length;
+}
+
+// References in an HTML page, with their source lines
+function collectHtmlReferences(content) {
+  const document = html.parse(content);
+  const references = [];
+
+  html.walk(document, element => {
+    URL_ATTRIBUTES.forEach(attribute => {
+      // <link rel="preconnect"> and friends name origins, not resources
+      if (attribute === 'href' && element.tagName === 'link' && /\b(preconnect|dns-prefetch)\b/.test(element.attrs.rel || '')) return;
+      // <base href> sets the base URL rather than linking anywhere
+      if (attribute === 'href' && element.tagName === 'base') return;
+      if (element.attrs[attribute] !== undefined) {
+        references.push({ url: element.attrs[attribute], line: element.line });
+      }
+    });
+
+    if (element.attrs.srcset) {
+      element.attrs.srcset.split(',').forEach(candidate => {
+        const url = candidate.trim().split(/\s+/)[0];
+        if (url) references.push({ url, line: element.line });
+      });
+    }
+
+    if (element.tagName === 'meta' && URL_META.has(element.attrs.property || element.attrs.name) && element.attrs.content) {
+      references.push({ url: element.attrs.content, line: element.line });
+    }
+  });
+
+  return references;
+}
+
+// <loc>, <image:loc> and <xhtml:link href> values in a sitemap or sitemap
+// index; `loc` marks page URLs and `sitemap` the sitemaps an index lists
+function collectSitemapReferences(content) {
+  const document = html.parse(content);
+  const references = [];
+  html.walk(document, element => {
+    if (element.tagName === 'loc' && element.parent.tagName === 'sitemap') {
+      references.push({ url: html.textContent(element).trim(), line: element.line, sitemap: true });
+    } else if (element.tagName === 'loc' || element.tagName === 'image:loc') {
+      references.push({ url: html.textContent(element).trim(), line: element.line, loc: element.tagName === 'loc' });
+    } else if (element.tagName === 'xhtml:link' && element.attrs.href) {
+      references.push({ url: element.attrs.href, line: element.line });
+    }
+  });
+  return references;
+}
+
+// Root-relative paths and site URLs anywhere in a JSON document
+function collectJsonReferences(content) {
+  const references = [];
+  const visit = value => {
+    if (typeof value === 'string') {
+      if ((value.startsWith('/') && !value.startsWith('//')) || value.startsWith(`${SITE_ORIGIN}/`) || value === SITE_ORIGIN) {
+        references.push({ url: value, line: lineOf(content, content.indexOf(JSON.stringify(value))) });
+      }
+    } else if (value && typeof value === 'object') {
+      Object.values(value).forEach(visit);
+    }
+  };
+  visit(JSON.parse(content));
+  return references;
+}
+
+// Field values of a security.txt that are URLs
+function collectSecurityTxtReferences(content) {
+  return content.split('\n').flatMap((line, index) => {
+    const match = line.match(/^[\w-]+:\s*(https?:\/\/\S+)/i);
+    return match ? [{ url: match[1], line: index + 1 }] : [];
+  });
+}
+
+function isNoindex(content) {
+  const document = html.parse(content);
+  const robots = html.querySelector(document, 'meta[name="robots"]');
+  return Boolean(robots) && /\bnoindex\b/i.test(html.getAttribute(robots, 'content') || '');
+}
+
+function listFiles(rootDir, dir = '') {
+  return fs.readdirSync(path.join(rootDir, dir), { withFileTypes: true })
+    .flatMap(entry => {
+      const relative = path.posix.join(dir, entry.name);
+      return entry.isDirectory() ? listFiles(rootDir, relative) : [relative];
+    })
+    .sort();
+}
+
+/**
+ * Check the site in `rootDir`. Returns `{ checked, deadLinks,
+ * deadSitemapUrls, orphans }`; each problem names its `source` file and
+ * `line`, the `url` and the `reason`.
+ */
+function checkLinks(rootDir) {
+  anchorCache.clear();
+  const result = { checked: 0, deadLinks: [], deadSitemapUrls: [], orphans: [] };
+
+  const check = (source, references, deadList) => {
+    references.forEach(reference => {
+      result.checked++;
+      const reason = checkReference(rootDir, source, reference.url);
+      if (reason) {
+        const list = reference.loc ? result.deadSitemapUrls : deadList;
+        list.push({ source, line: reference.line, url: reference.url, reason });
+      }
+    });
+  };
+
+  const htmlFiles = listFiles(rootDir).filter(file => file.endsWith('.html'));
+  htmlFiles.forEach(file => {
+    check(file, collectHtmlReferences(fs.readFileSync(path.join(rootDir, file), 'utf8')), result.deadLinks);
+  });
+
+  const sitemapUrls = new Set();
+  const sitemaps = new Set(SITEMAPS.filter(file => isFile(path.join(rootDir, file))));
+  sitemaps.forEach(file => {
+    const references = collectSitemapReferences(fs.readFileSync(path.join(rootDir, file), 'utf8'));
+    references.filter(reference => reference.loc || reference.sitemap).forEach(reference => {
+      const pathname = new URL(reference.url, SITE_ORIGIN).pathname;
+      const target = resolvePath(rootDir, pathname);
+      if (!target) return;
+      // A Set visits what is added during forEach, so this follows the index
+      if (reference.sitemap) sitemaps.add(target);
+      else sitemapUrls.add(target);
+    });
+    check(file, references, result.deadLinks);
+  });
+
+  JSON_FILES.filter(file => isFile(path.join(rootDir, file))).forEach(file => {
+    check(file, collectJsonReferences(fs.readFileSync(path.join(rootDir, file), 'utf8')), result.deadLinks);
+  });
+
+  SECURITY_TXT_FILES.filter(file => isFile(path.join(rootDir, file))).forEach(file => {
+    check(file, collectSecurityTxtReferences(fs.readFileSync(path.join(rootDir, file), 'utf8')), result.deadLinks);
+  });
+
+  // Error pages are served for missing URLs and never listed
+  htmlFiles
+    .filter(file => !sitemapUrls.has(file) && path.posix.basename(file) !== '404.html')
+    .filter(file => !isNoindex(fs.readFileSync(path.join(rootDir, file), 'utf8')))
+    .forEach(file => {
+      result.orphans.push({ source: file, line: 1, url: getFileUrl(file), reason: 'indexable page missing from the sitemaps' });
+    });
+
+  return result;
+}
+
+// One line per broken URL, with up to three of the places that use it
+function printProblems(title, problems) {
+  if (problems.length === 0) return;
+
+  const byUrl = new Map();
+  problems.forEach(problem => {
+    const key = `${problem.url}\n${problem.reason}`;
+    if (!byUrl.has(key)) byUrl.set(key, []);
+    byUrl.get(key).push(`${problem.source}:${problem.line}`);
+  });
+
+  console.log(`\n❌ ${title} (${byUrl.size}):`);
+  byUrl.forEach((sources, key) => {
+    const [url, reason] = key.split('\n');
+    const shown = sources.slice(0, 3).join(', ');
+    const more = sources.length > 3 ? ` and ${sources.length - 3} more` : '';
+    console.log(`  ${url}: ${reason}`);
+    console.log(`    in ${shown}${more}`);
+  });
+}
+
+function main() {
+  const rootDir = path.resolve(process.argv[2] || 'dist');
+  if (!fs.existsSync(rootDir)) {
+    console.error(`❌ ${path.relative(process.cwd(), rootDir)}/ not found. Run: node scripts/build-site.js`);
+    process.exit(1);
+  }
+
+  console.log(`🔗 Checking links in ${path.relative(process.cwd(), rootDir) || '.'}/...`);
+  const { checked, deadLinks, deadSitemapUrls, orphans } = checkLinks(rootDir);
+
+  printProblems('Dead links', deadLinks);
+  printProblems('Sitemap URLs with no file', deadSitemapUrls);
+  printProblems('Pages missing from the sitemap', orphans);
+
+  const problems = deadLinks.length + deadSitemapUrls.length + orphans.length;
+  if (problems > 0) {
+    console.log(`\n❌ ${problems} problems in ${checked} references`);
+    process.exit(1);
+  }
+  console.log(`✅ All ${checked} references resolve`);
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = { checkLinks, resolvePath, checkReference };
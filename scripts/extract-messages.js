@@ -0,0 +1,92 @@
+#!/usr/bin/env node
+
+/**
+ * Message Catalog Updater
+ *
+ * Renders every page in the default locale, collects the messages
+ * scripts/lib/i18n.js translates and brings each locales/<locale>.json in
+ * line with them: new messages are added with an empty translation, messages
+ * no longer on any page are dropped and existing translations are kept.
+ * Empty translations fall back to English in the build. Run it after
+ * changing page copy, then fill in the empty entries:
+ *
+ *   node scripts/extract-messages.js
+ *   node scripts/extract-messages.js --check   # fail if a catalog is out of date
+ */
+
+const fs = require('fs');
+const path = require('path');
+const i18n = require('./lib/i18n');
+const { listPages } = require('./lib/pages');
+const { renderPage, loadContext } = require('./build-site');
+
+const ROOT_DIR = path.join(__dirname, '..');
+
+/**
+ * Messages of every page, in order of first appearance.
+ */
+function collectMessages(context = loadContext()) {
+  const messages = new Set();
+  listPages().forEach(file => {
+    i18n.extractMessages(renderPage(file, context)).forEach(message => messages.add(message));
+  });
+  return [...messages];
+}
+
+/**
+ * The catalog for `messages`, keeping translations from `existing`.
+ */
+function updateCatalog(existing, messages) {
+  const catalog = {};
+  messages.forEach(message => {
+    catalog[message] = typeof existing[message] === 'string' ? existing[message] : '';
+  });
+
+  const added = messages.filter(message => !(message in existing));
+  const removed = Object.keys(existing).filter(message => !(message in catalog));
+  const translated = messages.filter(message => catalog[message]).length;
+  return { catalog, added, removed, translated };
+}
+
+function main() {
+  const check = process.argv.includes('--check');
+  const context = loadContext();
+  const messages = collectMessages(context);
+  let outdated = false;
+
+  console.log(`🌐 ${messages.length} messages on ${listPages().length} pages`);
+
+  context.locales.locales
+    .filter(locale => locale.code !== context.locales.defaultLocale)
+    .forEach(locale => {
+      const file = path.join(i18n.LOCALES_DIR, `${locale.code}.json`);
+      const { catalog, added, removed, translated } = updateCatalog(locale.messages, messages);
+      const relativeFile = path.relative(ROOT_DIR, file);
+      const coverage = `${translated}/${messages.length} translated`;
+
+      if (added.length === 0 && removed.length === 0) {
+        console.log(`✅ ${relativeFile}: up to date, ${coverage}`);
+        return;
+      }
+
+      if (check) {
+        outdated = true;
+        console.error(`❌ ${relativeFile}: ${added.length} new and ${removed.length} obsolete messages`);
+        return;
+      }
+
+      fs.writeFileSync(file, JSON.stringify(catalog, null, 2) + '\n');
+      console.log(`📝 ${relativeFile}: +${added.length} -${removed.length}, ${coverage}`);
+    });
+
+  if (outdated) {
+    console.error('Run node scripts/extract-messages.js to update the catalogs.');
+    process.exit(1);
+  }
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = { collectMessages, updateCatalog };
@@ -0,0 +1,106 @@
+/**
+ * Docusaurus docs helpers for the build scripts
+ *
+ * Finds the markdown sources of the docs served at /docs/ (docs-setup/docs,
+ * or the newest cut version) and works out the id and route Docusaurus gives
+ * each one, so site pages can link into the docs.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const markdown = require('./markdown');
+
+const DOCS_SETUP_DIR = path.join(__dirname, '../../docs-setup');
+const DOCS_BASE_URL = '/docs';
+
+function getLatestVersion(docsSetupDir) {
+  const versionsFile = path.join(docsSetupDir, 'versions.json');
+  const versions = fs.existsSync(versionsFile) ? JSON.parse(fs.readFileSync(versionsFile, 'utf8')) : [];
+  return versions[0] || null;
+}
+
+// Docs served at /docs/: the newest version in versions.json once protocol
+// releases are cut as versions (the unreleased docs/ moves to /docs/next/)
+function getDocsSourceDir(docsSetupDir = DOCS_SETUP_DIR) {
+  const version = getLatestVersion(docsSetupDir);
+  return version
+    ? path.join(docsSetupDir, 'versioned_docs', `version-${version}`)
+    : path.join(docsSetupDir, 'docs');
+}
+
+// Sidebars of the docs served at /docs/, to match getDocsSourceDir()
+function getSidebarsFile(docsSetupDir = DOCS_SETUP_DIR) {
+  const version = getLatestVersion(docsSetupDir);
+  return version
+    ? path.join(docsSetupDir, 'versioned_sidebars', `version-${version}-sidebars.json`)
+    : path.join(docsSetupDir, 'sidebars.js');
+}
+
+const DOCS_SOURCE_DIR = getDocsSourceDir();
+
+function findMarkdownFiles(dir) {
+  const files = [];
+  fs.readdirSync(dir, { withFileTypes: true })
+    .sort((a, b) => a.name.localeCompare(b.name))
+    .forEach(item => {
+      const fullPath = path.join(dir, item.name);
+      if (item.isDirectory()) {
+        files.push(...findMarkdownFiles(fullPath));
+      } else if (/\.mdx?$/.test(item.name)) {
+        files.push(fullPath);
+      }
+    });
+  return files;
+}
+
+// Id a doc is referenced by in sidebars.js: its directory plus `id` or file name
+function getDocId(relativePath, frontMatter) {
+  const dir = path.posix.dirname(relativePath);
+  const base = path.posix.basename(relativePath).replace(/\.mdx?$/, '');
+  const id = frontMatter.id || base;
+  return dir === '.' ? id : `${dir}/${id}`;
+}
+
+// Route of a doc as Docusaurus resolves it from its path, `id` and `slug`
+function getDocUrl(relativePath, frontMatter) {
+  const dir = path.posix.dirname(relativePath);
+  const base = path.posix.basename(relativePath).replace(/\.mdx?$/, '');
+  const prefix = dir === '.' ? '' : `/${dir}`;
+
+  if (typeof frontMatter.slug === 'string') {
+    const slug = frontMatter.slug.startsWith('/')
+      ? frontMatter.slug
+      : `${prefix}/${frontMatter.slug}`;
+    return slug === '/' ? `${DOCS_BASE_URL}/` : `${DOCS_BASE_URL}${slug}`;
+  }
+  if (base === 'index' || base === 'README') {
+    return `${DOCS_BASE_URL}${prefix}/`;
+  }
+  return `${DOCS_BASE_URL}${prefix}/${frontMatter.id || base}`;
+}
+
+/**
+ * Map of doc id to route for every doc under `docsDir`.
+ */
+function getDocRoutes(docsDir = DOCS_SOURCE_DIR) {
+  const routes = new Map();
+  if (!fs.existsSync(docsDir)) return routes;
+
+  findMarkdownFiles(docsDir).forEach(file => {
+    const relativePath = path.relative(docsDir, file).split(path.sep).join('/');
+    const { data } = markdown.parseFrontMatter(fs.readFileSync(file, 'utf8'));
+    routes.set(getDocId(relativePath, data), getDocUrl(relativePath, data));
+  });
+  return routes;
+}
+
+module.exports = {
+  DOCS_SOURCE_DIR,
+  DOCS_BASE_URL,
+  getDocsSourceDir,
+  getSidebarsFile,
+  findMarkdownFiles,
+  getDocId,
+  getDocUrl,
+  getDocRoutes
+};
@@ -0,0 +1,70 @@
+/**
+ * Glob matching for script configuration files
+ *
+ * Patterns use forward slashes and are matched against paths relative to the
+ * directory the config talks about. `*` matches within one path segment,
+ * `**` across segments (`**` followed by `/` also matches no directory at
+ * all), `?` matches one character and `{a,b}` either alternative. A pattern
+ * without a slash matches the file name at any depth, like .gitignore.
+ *
+ * Each wildcard and alternative is a capture, numbered from 1 in the order
+ * they appear, so a config can reuse what it matched (see matchGlob).
+ */
+
+function escapeRegExp(text) {
+  return text.replace(/[.+^$()|[\]\\]/g, '\\$&');
+}
+
+function globToRegExp(pattern) {
+  const anchored = pattern.includes('/');
+  const source = pattern.replace(/^\//, '');
+  let regex = '';
+
+  for (let i = 0; i < source.length; i++) {
+    const char = source[i];
+    if (char === '*' && source[i + 1] === '*') {
+      if (source[i + 2] === '/') {
+        regex += '((?:.*/)?)';
+        i += 2;
+      } else {
+        regex += '(.*)';
+        i += 1;
+      }
+    } else if (char === '*') {
+      regex += '([^/]*)';
+    } else if (char === '?') {
+      regex += '([^/])';
+    } else if (char === '{') {
+      const end = source.indexOf('}', i);
+      if (end === -1) {
+        regex += '\\{';
+        continue;
+      }
+      regex += `(${source.slice(i + 1, end).split(',').map(escapeRegExp).join('|')})`;
+      i = end;
+    } else {
+      regex += escapeRegExp(char);
+    }
+  }
+
+  return new RegExp(`^${anchored ? '' : '(?:.*/)?'}${regex}$`);
+}
+
+/**
+ * Whether the relative `file` matches any of `patterns`.
+ */
+function matchesGlob(file, patterns) {
+  const normalized = file.split('\\').join('/');
+  return [].concat(patterns).some(pattern => globToRegExp(pattern).test(normalized));
+}
+
+/**
+ * What the relative `file` matched for each capture of `pattern` (index 1
+ * for the first wildcard), or null if it doesn't match.
+ */
+function matchGlob(file, pattern) {
+  const match = globToRegExp(pattern).exec(file.split('\\').join('/'));
+  return match ? Array.from(match, value => value || '') : null;
+}
+
+module.exports = { globToRegExp, matchesGlob, matchGlob };
@@ -0,0 +1,371 @@
+/**
+ * Minimal HTML parser for the build and validation scripts
+ *
+ * The website has no npm dependencies outside docs-setup/, so the scripts
+ * parse pages with this small tolerant tree builder instead of a DOM library.
+ * It understands void elements, raw-text elements (script, style, ...),
+ * comments, implied end tags for common cases and character references.
+ */
+
+const VOID_ELEMENTS = new Set([
+  'area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input',
+  'link', 'meta', 'param', 'source', 'track', 'wbr'
+]);
+
+const RAW_TEXT_ELEMENTS = new Set(['script', 'style', 'textarea', 'title']);
+
+// Opening one of these closes an open element of the listed names
+const IMPLIED_END_TAGS = {
+  p: ['p'],
+  li: ['li'],
+  dt: ['dt', 'dd'],
+  dd: ['dt', 'dd'],
+  tr: ['tr', 'td', 'th'],
+  td: ['td', 'th'],
+  th: ['td', 'th'],
+  option: ['option']
+};
+
+const BLOCK_CLOSES_P = new Set([
+  'address', 'article', 'aside', 'blockquote', 'div', 'dl', 'fieldset',
+  'figure', 'footer', 'form', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'header',
+  'hr', 'main', 'nav', 'ol', 'pre', 'section', 'table', 'ul'
+]);
+
+const NAMED_ENTITIES = {
+  amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ',
+  copy: '©', reg: '®', trade: '™', hellip: '…',
+  mdash: '—', ndash: '–', lsquo: '‘', rsquo: '’',
+  ldquo: '“', rdquo: '”', bull: '•', middot: '·',
+  pound: '£', euro: '€', times: '×', rarr: '→',
+  larr: '←', check: '✓', deg: '°'
+};
+
+function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z][a-z0-9]*);/gi, (match, ref) => {
+    if (ref[0] === '#') {
+      const code = ref[1] === 'x' || ref[1] === 'X'
+        ? parseInt(ref.slice(2), 16)
+        : parseInt(ref.slice(1), 10);
+      return Number.isFinite(code) ? String.fromCodePoint(code) : match;
+    }
+    const named = NAMED_ENTITIES[ref.toLowerCase()];
+    return named !== undefined ? named : match;
+  });
+}
+
+function createElement(tagName, attrs, parent, line) {
+  return { type: 'element', tagName, attrs, children: [], parent, line };
+}
+
+function parseAttributes(source) {
+  const attrs = {};
+  const attrRegex = /([^\s"'>\/=]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+)))?/g;
+  let match;
+  while ((match = attrRegex.exec(source)) !== null) {
+    const name = match[1].toLowerCase();
+    if (name in attrs) continue;
+    const value = match[2] ?? match[3] ?? match[4] ?? '';
+    attrs[name] = decodeEntities(value);
+  }
+  return attrs;
+}
+
+/**
+ * Parse an HTML string into a tree of plain objects.
+ * Element nodes carry `tagName`, `attrs`, `children`, `parent` and the
+ * 1-based source `line`; text and comment nodes carry `value`.
+ */
+function parse(html) {
+  const root = { type: 'root', children: [], parent: null };
+  const stack = [root];
+  const current = () => stack[stack.length - 1];
+  const tagRegex = /<!--([\s\S]*?)-->|<!\[CDATA\[[\s\S]*?\]\]>|<![^>]*>|<\/([a-zA-Z][\w:-]*)\s*>|<([a-zA-Z][\w:-]*)((?:[^>"']|"[^"]*"|'[^']*')*)>/g;
+
+  let line = 1;
+  let cursor = 0;
+
+  const advance = (to) => {
+    for (let i = cursor; i < to; i++) {
+      if (html.charCodeAt(i) === 10) line++;
+    }
+    cursor = to;
+  };
+
+  const appendText = (text) => {
+    if (text) current().children.push({ type: 'text', value: decodeEntities(text), parent: current() });
+  };
+
+  const closeElement = (tagName) => {
+    for (let i = stack.length - 1; i > 0; i--) {
+      if (stack[i].tagName === tagName) {
+        stack.length = i;
+        return;
+      }
+    }
+  };
+
+  let match;
+  while ((match = tagRegex.exec(html)) !== null) {
+    appendText(html.slice(cursor, match.index));
+    advance(match.index);
+
+    const [whole, comment, closeName, openName, attrSource] = match;
+
+    if (comment !== undefined) {
+      current().children.push({ type: 'comment', value: comment, parent: current(), line });
+    } else if (closeName) {
+      closeElement(closeName.toLowerCase());
+    } else if (openName) {
+      const tagName = openName.toLowerCase();
+      const selfClosing = /\/\s*$/.test(attrSource);
+      const attrs = parseAttributes(selfClosing ? attrSource.replace(/\/\s*$/, '') : attrSource);
+
+      const implied = IMPLIED_END_TAGS[tagName];
+      if (implied && implied.includes(current().tagName)) {
+        stack.pop();
+      } else if (BLOCK_CLOSES_P.has(tagName) && current().tagName === 'p') {
+        stack.pop();
+      }
+
+      const element = createElement(tagName, attrs, current(), line);
+      current().children.push(element);
+
+      if (RAW_TEXT_ELEMENTS.has(tagName) && !selfClosing) {
+        const endRegex = new RegExp(`</${tagName}\\s*>`, 'ig');
+        endRegex.lastIndex = tagRegex.lastIndex;
+        const end = endRegex.exec(html);
+        const stop = end ? end.index : html.length;
+        const raw = html.slice(tagRegex.lastIndex, stop);
+        if (raw) {
+          element.children.push({
+            type: 'text',
+            value: tagName === 'title' || tagName === 'textarea' ? decodeEntities(raw) : raw,
+            parent: element
+          });
+        }
+        advance(end ? end.index + end[0].length : html.length);
+        tagRegex.lastIndex = cursor;
+        continue;
+      }
+
+      if (!VOID_ELEMENTS.has(tagName) && !selfClosing) {
+        stack.push(element);
+      }
+    }
+
+    advance(match.index + whole.length);
+  }
+
+  appendText(html.slice(cursor));
+  return root;
+}
+
+/**
+ * Depth-first walk over element nodes. Returning `false` from the
+ * callback skips the element's children.
+ */
+function walk(node, callback) {
+  for (const child of node.children || []) {
+    if (child.type !== 'element') continue;
+    if (callback(child) === false) continue;
+    walk(child, callback);
+  }
+}
+
+function findAll(node, predicate) {
+  const found = [];
+  walk(node, element => {
+    if (predicate(element)) found.push(element);
+  });
+  return found;
+}
+
+function findFirst(node, predicate) {
+  let found = null;
+  walk(node, element => {
+    if (found) return false;
+    if (predicate(element)) {
+      found = element;
+      return false;
+    }
+  });
+  return found;
+}
+
+function getAttribute(element, name) {
+  return element && element.attrs ? element.attrs[name.toLowerCase()] : undefined;
+}
+
+const SELECTOR_TOKEN = /\s*([>,])\s*|(\s+)|(\*|[a-zA-Z][\w-]*)|#([\w-]+)|\.([\w-]+)|\[\s*([\w:-]+)\s*(?:([~^$*|]?=)\s*(?:"([^"]*)"|'([^']*)'|([^\]\s]+)))?\s*\]|:not\(([^()]*)\)/y;
+
+/**
+ * Parse a CSS selector list into complex selectors: arrays of compound
+ * selectors, each with the combinator (' ' or '>') linking it to the one
+ * before. Supports type, universal, #id, .class, attribute selectors
+ * ([a], [a=v], [a~=v], [a|=v], [a^=v], [a$=v], [a*=v]), :not() with a
+ * compound argument, and descendant and child combinators.
+ */
+function parseSelector(selector) {
+  const list = [];
+  let complex = [];
+  let compound = null;
+  let combinator = null;
+
+  const current = () => {
+    if (!compound) {
+      compound = { tag: null, ids: [], classes: [], attrs: [], not: [], combinator: combinator || ' ' };
+      combinator = null;
+      complex.push(compound);
+    }
+    return compound;
+  };
+  const endComplex = () => {
+    if (complex.length === 0 || combinator) {
+      throw new Error(`Invalid selector: ${selector}`);
+    }
+    list.push(complex);
+    complex = [];
+    compound = null;
+  };
+
+  const source = selector.trim();
+  let index = 0;
+  while (index < source.length) {
+    SELECTOR_TOKEN.lastIndex = index;
+    const match = SELECTOR_TOKEN.exec(source);
+    if (!match) {
+      throw new Error(`Unsupported selector: ${selector}`);
+    }
+    index = SELECTOR_TOKEN.lastIndex;
+    const [, separator, space, tag, id, className, attrName, operator, double, single, bare, not] = match;
+
+    if (separator === ',') {
+      endComplex();
+    } else if (separator === '>' || space) {
+      if (!compound) throw new Error(`Invalid selector: ${selector}`);
+      if (separator === '>' || !combinator) combinator = separator || ' ';
+      compound = null;
+    } else if (tag) {
+      if (compound) throw new Error(`Invalid selector: ${selector}`);
+      current().tag = tag === '*' ? null : tag.toLowerCase();
+    } else if (id) {
+      current().ids.push(id);
+    } else if (className) {
+      current().classes.push(className);
+    } else if (attrName) {
+      current().attrs.push({
+        name: attrName.toLowerCase(),
+        operator: operator || null,
+        value: double ?? single ?? bare ?? null
+      });
+    } else if (not !== undefined) {
+      const inner = parseSelector(not);
+      if (inner.length !== 1 || inner[0].length !== 1) {
+        throw new Error(`Unsupported selector in :not(): ${not}`);
+      }
+      current().not.push(inner[0][0]);
+    }
+  }
+  endComplex();
+  return list;
+}
+
+function matchesAttribute(element, { name, operator, value }) {
+  const actual = element.attrs[name];
+  if (actual === undefined) return false;
+  switch (operator) {
+    case null: return true;
+    case '=': return actual === value;
+    case '~=': return actual.split(/\s+/).includes(value);
+    case '|=': return actual === value || actual.startsWith(`${value}-`);
+    case '^=': return value !== '' && actual.startsWith(value);
+    case '$=': return value !== '' && actual.endsWith(value);
+    case '*=': return value !== '' && actual.includes(value);
+    default: return false;
+  }
+}
+
+function matchesCompound(element, compound) {
+  if (compound.tag && element.tagName !== compound.tag) return false;
+  if (compound.ids.some(id => element.attrs.id !== id)) return false;
+  if (compound.classes.length > 0) {
+    const classes = (element.attrs.class || '').split(/\s+/);
+    if (!compound.classes.every(className => classes.includes(className))) return false;
+  }
+  if (!compound.attrs.every(attr => matchesAttribute(element, attr))) return false;
+  return !compound.not.some(inner => matchesCompound(element, inner));
+}
+
+// Match a complex selector right to left, starting at compound `index`
+function matchesComplex(element, complex, index = complex.length - 1) {
+  if (!matchesCompound(element, complex[index])) return false;
+  if (index === 0) return true;
+
+  const { combinator } = complex[index];
+  let ancestor = element.parent;
+  while (ancestor && ancestor.type === 'element') {
+    if (matchesComplex(ancestor, complex, index - 1)) return true;
+    if (combinator === '>') return false;
+    ancestor = ancestor.parent;
+  }
+  return false;
+}
+
+/**
+ * Whether `element` matches the CSS `selector` (see parseSelector).
+ */
+function matches(element, selector) {
+  return parseSelector(selector).some(complex => matchesComplex(element, complex));
+}
+
+/**
+ * Elements under `node` matching `selector`, in document order.
+ */
+function querySelectorAll(node, selector) {
+  const list = parseSelector(selector);
+  return findAll(node, element => list.some(complex => matchesComplex(element, complex)));
+}
+
+function querySelector(node, selector) {
+  const list = parseSelector(selector);
+  return findFirst(node, element => list.some(complex => matchesComplex(element, complex)));
+}
+
+// Elements whose text never reaches the reader
+const NON_CONTENT_ELEMENTS = new Set(['script', 'style', 'noscript', 'template', 'svg', 'head']);
+
+/**
+ * Visible text of a node with whitespace collapsed. Script, style and
+ * similar non-content elements are skipped unless `includeHidden` is set.
+ */
+function textContent(node, { includeHidden = false } = {}) {
+  const parts = [];
+  const collect = (current) => {
+    for (const child of current.children || []) {
+      if (child.type === 'text') {
+        parts.push(child.value);
+      } else if (child.type === 'element') {
+        if (!includeHidden && NON_CONTENT_ELEMENTS.has(child.tagName)) continue;
+        parts.push(' ');
+        collect(child);
+        parts.push(' ');
+      }
+    }
+  };
+  collect(node);
+  return parts.join('').replace(/\s+/g, ' ').trim();
+}
+
+module.exports = {
+  parse,
+  walk,
+  findAll,
+  findFirst,
+  getAttribute,
+  matches,
+  querySelectorAll,
+  querySelector,
+  textContent,
+  decodeEntities
+};
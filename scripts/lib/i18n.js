@@ -0,0 +1,344 @@
+/**
+ * Translations for the page build
+ *
+ * locales/locales.json lists the site's locales; every locale other than the
+ * default has a message catalog, locales/<code>.json, mapping English source
+ * strings to their translation. Pages are written in English and translated
+ * after rendering: each run of text (including inline markup such as <a> or
+ * <strong>, so a sentence stays one message) and each alt, title, aria-label,
+ * placeholder and description-style meta content is looked up in the catalog.
+ * Messages without a translation stay in English. Elements marked
+ * translate="no", and scripts, styles, SVG and <pre> blocks, are left alone.
+ * A page is only published in a locale whose catalog translates at least
+ * `minTranslated` of its messages (see getTranslatedShare).
+ *
+ * scripts/extract-messages.js keeps the catalogs in step with the pages.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const LOCALES_DIR = path.join(__dirname, '../../locales');
+// Share of a page's messages a locale must translate for the page to be
+// published in it, unless locales.json sets minTranslated
+const DEFAULT_MIN_TRANSLATED = 0.9;
+
+// The deployed Docusaurus build
+const DOCS_BUILD_DIR = path.join(__dirname, '../../docs');
+
+// Inline elements that can sit inside one message
+const PHRASING_ELEMENTS = new Set([
+  'a', 'abbr', 'b', 'br', 'code', 'em', 'i', 'mark', 'small', 'span',
+  'strong', 'sub', 'sup', 'time', 'u'
+]);
+
+const VOID_ELEMENTS = new Set([
+  'area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input',
+  'link', 'meta', 'param', 'source', 'track', 'wbr'
+]);
+
+// Never translated, along with anything inside them
+const SKIPPED_ELEMENTS = new Set(['script', 'style', 'svg', 'pre', 'template', 'noscript']);
+const RAW_TEXT_ELEMENTS = new Set(['script', 'style']);
+
+const TRANSLATABLE_ATTRIBUTES = ['alt', 'title', 'aria-label', 'placeholder'];
+
+// <meta name|property> whose content is page copy
+const TRANSLATABLE_META = new Set([
+  'description', 'keywords', 'og:title', 'og:description', 'twitter:title', 'twitter:description'
+]);
+
+const TOKEN_REGEX = /<!--[\s\S]*?-->|<![^>]*>|<\/([a-zA-Z][\w:-]*)\s*>|<([a-zA-Z][\w:-]*)((?:[^>"']|"[^"]*"|'[^']*')*)>|[^<]+|</g;
+const ATTRIBUTE_REGEX = /(\s)([^\s"'>\/=]+)(\s*=\s*)(?:"([^"]*)"|'([^']*)')/g;
+
+/**
+ * Read locales/locales.json and the catalog of every non-default locale.
+ * Returns `{ defaultLocale, minTranslated, locales: [{ code, name, ogLocale,
+ * messages }] }` with the default locale first.
+ */
+function loadLocales(dir = LOCALES_DIR) {
+  const config = JSON.parse(fs.readFileSync(path.join(dir, 'locales.json'), 'utf8'));
+  const codes = Object.keys(config.locales || {});
+  if (!codes.includes(config.defaultLocale)) {
+    throw new Error(`locales.json: defaultLocale "${config.defaultLocale}" is not in "locales"`);
+  }
+
+  const locales = [config.defaultLocale, ...codes.filter(code => code !== config.defaultLocale)]
+    .map(code => {
+      const catalogFile = path.join(dir, `${code}.json`);
+      const messages = code === config.defaultLocale || !fs.existsSync(catalogFile)
+        ? {}
+        : JSON.parse(fs.readFileSync(catalogFile, 'utf8'));
+      return { code, ...config.locales[code], messages };
+    });
+
+  const minTranslated = config.minTranslated === undefined ? DEFAULT_MIN_TRANSLATED : config.minTranslated;
+  if (!(minTranslated >= 0 && minTranslated <= 1)) {
+    throw new Error('locales.json: minTranslated must be between 0 and 1');
+  }
+
+  return { defaultLocale: config.defaultLocale, minTranslated, locales };
+}
+
+function getLocale(i18n, code) {
+  const locale = i18n.locales.find(candidate => candidate.code === code);
+  if (!locale) {
+    throw new Error(`Unknown locale "${code}"`);
+  }
+  return locale;
+}
+
+// Whether the docs build in docs/ includes `locale`, which Docusaurus writes
+// to docs/<locale>/
+const docsLocales = new Map();
+function hasLocalizedDocs(locale) {
+  if (!docsLocales.has(locale)) {
+    docsLocales.set(locale, fs.existsSync(path.join(DOCS_BUILD_DIR, locale, 'index.html')));
+  }
+  return docsLocales.get(locale);
+}
+
+/**
+ * URL of a site path in `locale`: "/about" becomes "/de/about" and the docs
+ * move under their Docusaurus locale, "/docs/intro" to "/docs/de/intro".
+ * Docs links stay on the default-locale docs until docs/ has a build for
+ * `locale`.
+ */
+function localizePath(url, locale, defaultLocale) {
+  if (locale === defaultLocale) return url;
+  if (url === '/docs' || url.startsWith('/docs/') || url.startsWith('/docs#')) {
+    return hasLocalizedDocs(locale) ? `/docs/${locale}${url.slice('/docs'.length) || '/'}` : url;
+  }
+  return `/${locale}${url}`;
+}
+
+/**
+ * Absolute URLs of the page at `pagePath` in every locale, plus x-default for
+ * visitors whose language isn't one of them: `[{ hreflang, href }]`.
+ */
+function getAlternates(pagePath, i18n, origin) {
+  const alternates = i18n.locales.map(locale => ({
+    hreflang: locale.code,
+    href: new URL(localizePath(pagePath, locale.code, i18n.defaultLocale), origin).href
+  }));
+  alternates.push({ hreflang: 'x-default', href: alternates[0].href });
+  return alternates;
+}
+
+function parseAttributes(source) {
+  const attrs = {};
+  source.replace(ATTRIBUTE_REGEX, (match, space, name, equals, double, single) => {
+    attrs[name.toLowerCase()] = double !== undefined ? double : single;
+    return match;
+  });
+  return attrs;
+}
+
+// Split HTML into comment, doctype, tag and text tokens; script and style
+// bodies stay attached to their opening tag
+function tokenize(html) {
+  const tokens = [];
+  TOKEN_REGEX.lastIndex = 0;
+  let match;
+  while ((match = TOKEN_REGEX.exec(html)) !== null) {
+    const [raw, closeName, openName, attrSource] = match;
+    if (openName) {
+      const name = openName.toLowerCase();
+      const token = { type: 'open', raw, name, attrs: parseAttributes(attrSource) };
+      if (RAW_TEXT_ELEMENTS.has(name)) {
+        const end = new RegExp(`</${name}\\s*>`, 'ig');
+        end.lastIndex = TOKEN_REGEX.lastIndex;
+        const close = end.exec(html);
+        const stop = close ? close.index + close[0].length : html.length;
+        token.raw = html.slice(match.index, stop);
+        token.type = 'raw';
+        TOKEN_REGEX.lastIndex = stop;
+      }
+      tokens.push(token);
+    } else if (closeName) {
+      tokens.push({ type: 'close', raw, name: closeName.toLowerCase() });
+    } else if (raw[0] === '<' && raw.length > 1) {
+      tokens.push({ type: 'other', raw });
+    } else {
+      tokens.push({ type: 'text', raw });
+    }
+  }
+  return tokens;
+}
+
+function normalizeMessage(text) {
+  return text.replace(/\s+/g, ' ').trim();
+}
+
+function hasWords(text) {
+  return /\p{L}/u.test(text);
+}
+
+function translateAttributes(token, translate) {
+  const meta = token.name === 'meta' && TRANSLATABLE_META.has(token.attrs.name || token.attrs.property);
+  return token.raw.replace(ATTRIBUTE_REGEX, (match, space, name, equals, double, single) => {
+    const attribute = name.toLowerCase();
+    if (!TRANSLATABLE_ATTRIBUTES.includes(attribute) && !(meta && attribute === 'content')) {
+      return match;
+    }
+    const value = double !== undefined ? double : single;
+    const message = normalizeMessage(value);
+    if (!hasWords(message)) return match;
+    const translated = translate(message);
+    return translated ? `${space}${name}${equals}"${translated.replace(/"/g, '&quot;')}"` : match;
+  });
+}
+
+// Inline tags in a message must open and close inside it
+function isBalanced(tokens) {
+  const open = [];
+  for (const token of tokens) {
+    if (token.type === 'open' && !VOID_ELEMENTS.has(token.name)) {
+      open.push(token.name);
+    } else if (token.type === 'close' && open.pop() !== token.name) {
+      return false;
+    }
+  }
+  return open.length === 0;
+}
+
+/**
+ * Pass every translatable message in `html` through `translate(message)`,
+ * which returns the translation or a falsy value to keep the original.
+ */
+function translateHtml(html, translate) {
+  const tokens = tokenize(html);
+  const output = [];
+  let run = [];
+
+  const emitTag = token => {
+    output.push(token.type === 'open' ? translateAttributes(token, translate) : token.raw);
+  };
+
+  const flushRun = () => {
+    const textIndexes = run
+      .map((token, index) => (token.type === 'text' && hasWords(token.raw) ? index : -1))
+      .filter(index => index !== -1);
+
+    if (textIndexes.length === 0) {
+      run.forEach(emitTag);
+      run = [];
+      return;
+    }
+
+    const first = textIndexes[0];
+    const last = textIndexes[textIndexes.length - 1];
+    const unit = run.slice(first, last + 1);
+
+    run.slice(0, first).forEach(emitTag);
+    if (isBalanced(unit)) {
+      const raw = unit.map(token => token.raw).join('');
+      const [, leading, , trailing] = raw.match(/^(\s*)([\s\S]*?)(\s*)$/);
+      const translated = translate(normalizeMessage(raw));
+      if (translated) {
+        output.push(leading + translated + trailing);
+      } else {
+        unit.forEach(emitTag);
+      }
+    } else {
+      // Translate the text pieces on their own rather than split a tag pair
+      unit.forEach(token => {
+        if (token.type !== 'text' || !hasWords(token.raw)) {
+          emitTag(token);
+          return;
+        }
+        const [, leading, , trailing] = token.raw.match(/^(\s*)([\s\S]*?)(\s*)$/);
+        const translated = translate(normalizeMessage(token.raw));
+        output.push(translated ? leading + translated + trailing : token.raw);
+      });
+    }
+    run.slice(last + 1).forEach(emitTag);
+    run = [];
+  };
+
+  for (let i = 0; i < tokens.length; i++) {
+    const token = tokens[i];
+
+    if (token.type === 'open' && (SKIPPED_ELEMENTS.has(token.name) || token.attrs.translate === 'no')) {
+      flushRun();
+      output.push(token.raw);
+      if (VOID_ELEMENTS.has(token.name) || /\/\s*>$/.test(token.raw)) continue;
+      // Copy the element through to its matching end tag
+      let depth = 1;
+      while (depth > 0 && ++i < tokens.length) {
+        const inner = tokens[i];
+        if (inner.type === 'open' && inner.name === token.name && !/\/\s*>$/.test(inner.raw)) depth++;
+        if (inner.type === 'close' && inner.name === token.name) depth--;
+        output.push(inner.raw);
+      }
+      continue;
+    }
+
+    if (token.type === 'text' || ((token.type === 'open' || token.type === 'close') && PHRASING_ELEMENTS.has(token.name))) {
+      run.push(token);
+      continue;
+    }
+
+    flushRun();
+    if (token.type === 'open') {
+      emitTag(token);
+    } else {
+      output.push(token.raw);
+    }
+  }
+  flushRun();
+
+  return output.join('');
+}
+
+/**
+ * Every message translateHtml would look up in `html`, in document order.
+ */
+function extractMessages(html) {
+  const messages = [];
+  translateHtml(html, message => {
+    messages.push(message);
+    return null;
+  });
+  return messages;
+}
+
+/**
+ * Point root-relative links to site pages (`isPagePath(path)`) and the docs
+ * at their `locale` versions. Links that carry hreflang already name their
+ * language and are kept.
+ */
+function localizeLinks(html, locale, defaultLocale, isPagePath) {
+  if (locale === defaultLocale) return html;
+  return html.replace(/<[a-zA-Z][\w:-]*(?:[^>"']|"[^"]*"|'[^']*')*>/g, tag => {
+    if (/\shreflang\s*=/i.test(tag)) return tag;
+    return tag.replace(/(\s(?:href|action)\s*=\s*")(\/[^"]*)"/gi, (match, prefix, url) => {
+      const pathname = url.replace(/[?#].*$/, '');
+      const isDocs = pathname === '/docs' || pathname.startsWith('/docs/');
+      if (!isDocs && !isPagePath(pathname)) return match;
+      return `${prefix}${localizePath(url, locale, defaultLocale)}"`;
+    });
+  });
+}
+
+/**
+ * Share of `messages` (as from extractMessages) that `catalog` translates; 1
+ * when there is nothing to translate.
+ */
+function getTranslatedShare(messages, catalog) {
+  const unique = new Set(messages);
+  if (unique.size === 0) return 1;
+  return [...unique].filter(message => catalog[message]).length / unique.size;
+}
+
+module.exports = {
+  LOCALES_DIR,
+  loadLocales,
+  getLocale,
+  localizePath,
+  getAlternates,
+  translateHtml,
+  extractMessages,
+  getTranslatedShare,
+  localizeLinks
+};
@@ -0,0 +1,126 @@
+/**
+ * JSON Schema validation for generated files
+ *
+ * Checks a value against the subset of JSON Schema (2020-12) the repo's
+ * schemas use: type, enum, const, required, properties,
+ * additionalProperties, items, minItems, minLength, pattern, format (date,
+ * email, uri) and $ref into the schema's own $defs. Other keywords are an
+ * error, so a schema can't quietly rely on something that isn't checked.
+ */
+
+const SUPPORTED_KEYWORDS = new Set([
+  '$schema', '$id', '$ref', '$defs', '$comment', 'title', 'description',
+  'type', 'enum', 'const', 'required', 'properties', 'additionalProperties',
+  'items', 'minItems', 'minLength', 'pattern', 'format'
+]);
+
+const FORMATS = {
+  date: value => /^\d{4}-\d{2}-\d{2}$/.test(value) && !Number.isNaN(Date.parse(value)),
+  email: value => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value),
+  uri: value => {
+    try {
+      return Boolean(new URL(value).protocol);
+    } catch (error) {
+      return false;
+    }
+  }
+};
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  const actual = typeOf(value);
+  return actual === type || (type === 'number' && actual === 'integer');
+}
+
+function resolveRef(ref, root) {
+  const match = ref.match(/^#\/\$defs\/([\w-]+)$/);
+  if (!match || !root.$defs || !root.$defs[match[1]]) {
+    throw new Error(`Unsupported $ref "${ref}"`);
+  }
+  return root.$defs[match[1]];
+}
+
+/**
+ * Problems with `value` against `schema`, as "path: message" strings; empty
+ * when it is valid. Paths look like `service.name` or `faq[2].answer`.
+ */
+function validate(value, schema, root = schema, where = '') {
+  const label = where || '(root)';
+  const unsupported = Object.keys(schema).filter(keyword => !SUPPORTED_KEYWORDS.has(keyword));
+  if (unsupported.length > 0) {
+    throw new Error(`Unsupported JSON Schema keyword ${unsupported.join(', ')} at ${label}`);
+  }
+
+  if (schema.$ref) {
+    return validate(value, resolveRef(schema.$ref, root), root, where);
+  }
+
+  if (schema.type) {
+    const types = [].concat(schema.type);
+    if (!types.some(type => matchesType(value, type))) {
+      return [`${label}: must be ${types.join(' or ')}, not ${typeOf(value)}`];
+    }
+  }
+
+  const errors = [];
+  if (schema.enum && !schema.enum.some(option => JSON.stringify(option) === JSON.stringify(value))) {
+    errors.push(`${label}: must be one of ${schema.enum.map(option => JSON.stringify(option)).join(', ')}`);
+  }
+  if ('const' in schema && JSON.stringify(schema.const) !== JSON.stringify(value)) {
+    errors.push(`${label}: must be ${JSON.stringify(schema.const)}`);
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      errors.push(`${label}: must be at least ${schema.minLength} characters`);
+    }
+    if (schema.pattern && !new RegExp(schema.pattern, 'u').test(value)) {
+      errors.push(`${label}: must match ${schema.pattern}`);
+    }
+    if (schema.format) {
+      if (!FORMATS[schema.format]) {
+        throw new Error(`Unsupported format "${schema.format}" at ${label}`);
+      }
+      if (!FORMATS[schema.format](value)) {
+        errors.push(`${label}: must be a valid ${schema.format}`);
+      }
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push(`${label}: must have at least ${schema.minItems} items`);
+    }
+    if (schema.items) {
+      value.forEach((item, index) => errors.push(...validate(item, schema.items, root, `${where}[${index}]`)));
+    }
+  }
+
+  if (typeOf(value) === 'object') {
+    const properties = schema.properties || {};
+    (schema.required || [])
+      .filter(property => !(property in value))
+      .forEach(property => errors.push(`${label}: missing required property "${property}"`));
+
+    Object.entries(value).forEach(([property, propertyValue]) => {
+      const path = where ? `${where}.${property}` : property;
+      if (properties[property]) {
+        errors.push(...validate(propertyValue, properties[property], root, path));
+      } else if (schema.additionalProperties === false) {
+        errors.push(`${label}: unknown property "${property}"`);
+      } else if (schema.additionalProperties && typeof schema.additionalProperties === 'object') {
+        errors.push(...validate(propertyValue, schema.additionalProperties, root, path));
+      }
+    });
+  }
+
+  return errors;
+}
+
+module.exports = { validate };
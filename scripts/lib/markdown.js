@@ -0,0 +1,323 @@
+/**
+ * Markdown helpers for the build scripts
+ *
+ * Just enough Markdown/MDX understanding to read Docusaurus front matter,
+ * split a document at its headings, reduce it to plain text and transform
+ * its links and blockquotes without touching code.
+ */
+
+/**
+ * Split a document into its front matter fields and body. Only the flat
+ * `key: value` YAML used by the docs is supported.
+ */
+function parseFrontMatter(source) {
+  const match = source.match(/^---\r?\n([\s\S]*?)\r?\n---\r?\n?/);
+  if (!match) {
+    return { data: {}, body: source };
+  }
+
+  const data = {};
+  match[1].split(/\r?\n/).forEach(line => {
+    const field = line.match(/^([A-Za-z_][\w-]*):\s*(.*)$/);
+    if (!field) return;
+    let value = field[2].trim();
+    if (/^(['"]).*\1$/.test(value)) {
+      value = value.slice(1, -1);
+    } else if (value === 'true' || value === 'false') {
+      value = value === 'true';
+    } else if (/^-?\d+(\.\d+)?$/.test(value)) {
+      value = Number(value);
+    }
+    data[field[1]] = value;
+  });
+
+  return { data, body: source.slice(match[0].length) };
+}
+
+/**
+ * Heading anchor in the style Docusaurus (github-slugger) generates.
+ */
+function slugify(text) {
+  return text
+    .trim()
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}\s_-]/gu, '')
+    .replace(/\s/g, '-');
+}
+
+// Remove fenced code blocks, keeping line structure outside them
+function stripCodeBlocks(body) {
+  return body.replace(/^(```|~~~)[^\n]*\n[\s\S]*?^\1[^\n]*$/gm, '');
+}
+
+// HTML/JSX elements that start a paragraph of their own
+const BLOCK_TAGS = /<\/?(?:blockquote|br|dd|details|div|dl|dt|figcaption|figure|h[1-6]|hr|li|ol|p|section|summary|table|td|th|tr|ul)\b[^>]*>/gi;
+
+/**
+ * Whether a paragraph of plain text says anything: one that is only an
+ * icon, a decorative number or a list marker does not. Headings ("#### ")
+ * keep their numbers, so a year on its own still counts.
+ */
+function hasText(paragraph) {
+  const heading = paragraph.match(/^#+ (.*)$/);
+  if (heading) return /[\p{L}\p{N}]/u.test(heading[1]);
+  return !/^[\s\d\p{Extended_Pictographic}\p{So}\uFE0F\u200D#-]*$/u.test(paragraph);
+}
+
+/**
+ * Plain-text rendering of a Markdown/MDX fragment: code blocks, MDX
+ * import/export lines, admonition fences, HTML tags and markup removed.
+ *
+ * The text is one line unless `paragraphs` is set: then blank lines, block
+ * elements, headings (as "#### "), list items (as "- ") and table rows each
+ * start a paragraph, paragraphs are separated by a blank line and those
+ * without text (see hasText) are dropped.
+ */
+function toPlainText(markdown, { paragraphs = false } = {}) {
+  const text = stripCodeBlocks(markdown)
+    .replace(/^\s*(import|export)\s.*$/gm, '')
+    .replace(/^:::\w*.*$/gm, '')
+    .replace(BLOCK_TAGS, '\n\n')
+    .replace(/<[^>]+>/g, ' ')
+    .replace(/!\[([^\]]*)\]\([^)]*\)/g, '$1')
+    .replace(/\[([^\]]*)\]\([^)]*\)/g, '$1')
+    .replace(/`([^`]*)`/g, '$1')
+    .replace(/^\s{0,3}#{1,6}\s+(.*)$/gm, paragraphs ? '\n\n#### $1\n\n' : '$1')
+    .replace(/^\s*>\s?/gm, '')
+    .replace(/^\s*([-*+]|\d+\.)\s+/gm, paragraphs ? '\n\n- ' : '')
+    .replace(/^\s*\|?\s*:?-{3,}.*$/gm, '')
+    .replace(/^\s*\|/gm, '\n\n|')
+    .replace(/\|/g, ' ')
+    .replace(/(\*\*|__|\*|_|~~)(\S[^*_~]*?)\1/g, '$2');
+
+  if (!paragraphs) return text.replace(/\s+/g, ' ').trim();
+  return text
+    .split(/\n\s*\n/)
+    .map(paragraph => paragraph.replace(/\s+/g, ' ').trim())
+    .filter(hasText)
+    .join('\n\n');
+}
+
+/**
+ * Split a document body at headings of the given depth or shallower.
+ * Returns the text before the first heading as `intro` and one entry per
+ * heading with its `level`, `title`, `anchor` and raw `body`.
+ */
+function splitSections(body, maxDepth = 2) {
+  const source = stripCodeBlocks(body);
+  const headingRegex = /^(#{1,6})\s+(.+?)\s*#*\s*$/gm;
+  const sections = [];
+  let intro = null;
+  let last = null;
+  let match;
+
+  while ((match = headingRegex.exec(source)) !== null) {
+    const level = match[1].length;
+    if (level > maxDepth) continue;
+
+    if (last) {
+      last.body = source.slice(last.start, match.index);
+    } else {
+      intro = source.slice(0, match.index);
+    }
+
+    const explicitId = match[2].match(/\s*\{#([\w-]+)\}$/);
+    const title = toPlainText(match[2].replace(/\s*\{#[\w-]+\}$/, ''));
+    last = {
+      level,
+      title,
+      anchor: explicitId ? explicitId[1] : slugify(title),
+      start: headingRegex.lastIndex,
+      body: ''
+    };
+    sections.push(last);
+  }
+
+  if (last) {
+    last.body = source.slice(last.start);
+  } else {
+    intro = source;
+  }
+
+  return {
+    intro: intro || '',
+    sections: sections.map(({ level, title, anchor, body: sectionBody }) => ({ level, title, anchor, body: sectionBody }))
+  };
+}
+
+/**
+ * Plain-text titles of every heading in a document, in order.
+ */
+function extractHeadings(body, maxDepth = 6) {
+  const headings = [];
+  const headingRegex = /^(#{1,6})\s+(.+?)\s*#*\s*$/gm;
+  const source = stripCodeBlocks(body);
+  let match;
+  while ((match = headingRegex.exec(source)) !== null) {
+    if (match[1].length <= maxDepth) {
+      headings.push(toPlainText(match[2].replace(/\s*\{#[\w-]+\}$/, '')));
+    }
+  }
+  return headings;
+}
+
+const INDENTED_CODE = /^(?: {4}|\t)/;
+const LIST_ITEM = /^\s*(?:[-*+]|\d+[.)])\s/;
+const ATX_HEADING = /^\s{0,3}#{1,6}(?:\s|$)/;
+
+// Whether the indented line `i` opens an indented code block: it can't
+// interrupt a paragraph, and after a list item it continues the item instead
+function opensIndentedCode(lines, i) {
+  if (!INDENTED_CODE.test(lines[i]) || !lines[i].trim()) return false;
+  if (i > 0 && lines[i - 1].trim() && !ATX_HEADING.test(lines[i - 1])) return false;
+
+  let previous = i - 1;
+  while (previous >= 0 && !lines[previous].trim()) previous--;
+  return previous < 0 || !(LIST_ITEM.test(lines[previous]) || /^\s/.test(lines[previous]));
+}
+
+/**
+ * Block-level syntax tree of a document: `code` (a fenced or indented
+ * block), `blockquote` (consecutive `>` lines) and `text` nodes, each holding
+ * its source lines as `value`. stringifyBlocks() turns it back into the same
+ * source.
+ */
+function parseBlocks(source) {
+  const nodes = [];
+  const lines = source.split('\n');
+
+  for (let i = 0; i < lines.length; i++) {
+    const fence = lines[i].match(/^\s{0,3}(`{3,}|~{3,})/);
+    if (fence) {
+      const close = new RegExp(`^\\s{0,3}${fence[1][0]}{${fence[1].length},}\\s*$`);
+      const start = i;
+      while (i + 1 < lines.length && !close.test(lines[i + 1])) i++;
+      i = Math.min(i + 1, lines.length - 1);
+      nodes.push({ type: 'code', value: lines.slice(start, i + 1).join('\n') });
+      continue;
+    }
+
+    if (opensIndentedCode(lines, i)) {
+      // Blank lines between indented lines belong to the block, trailing ones don't
+      const start = i;
+      let end = i;
+      while (i + 1 < lines.length && (INDENTED_CODE.test(lines[i + 1]) || !lines[i + 1].trim())) {
+        i++;
+        if (lines[i].trim()) end = i;
+      }
+      i = end;
+      nodes.push({ type: 'code', value: lines.slice(start, end + 1).join('\n') });
+      continue;
+    }
+
+    const type = /^\s{0,3}>/.test(lines[i]) ? 'blockquote' : 'text';
+    const last = nodes[nodes.length - 1];
+    if (last && last.type === type) {
+      last.value += `\n${lines[i]}`;
+    } else {
+      nodes.push({ type, value: lines[i] });
+    }
+  }
+  return nodes;
+}
+
+function stringifyBlocks(nodes) {
+  return nodes.map(node => node.value).join('\n');
+}
+
+// GitHub alert types and the Docusaurus admonition each becomes
+const CALLOUTS = {
+  NOTE: ':::note',
+  TIP: ':::tip',
+  IMPORTANT: ':::info[Important]',
+  WARNING: ':::warning',
+  CAUTION: ':::danger'
+};
+
+/**
+ * Nodes with GitHub alerts (`> [!NOTE]` blockquotes) turned into Docusaurus
+ * admonitions.
+ */
+function convertCallouts(nodes) {
+  return nodes.map(node => {
+    if (node.type !== 'blockquote') return node;
+    const [first, ...rest] = node.value.split('\n');
+    const alert = first.match(/^\s{0,3}>\s*\[!(\w+)\]\s*$/);
+    if (!alert || !CALLOUTS[alert[1].toUpperCase()]) return node;
+
+    const content = rest.map(line => line.replace(/^\s{0,3}> ?/, '')).join('\n').trim();
+    return { type: 'text', value: `${CALLOUTS[alert[1].toUpperCase()]}\n\n${content}\n\n:::` };
+  });
+}
+
+const INLINE_LINK = /(!?)(\[(?:[^[\]]|\[[^\]]*\])*\]\(\s*)(<[^>]*>|[^\s)]+)/g;
+const REFERENCE_DEFINITION = /^(\s{0,3}\[([^\]]+)\]:\s*)(<[^>]*>|\S+)/gm;
+// ![alt][label], ![label][] and ![label], but not the inline ![alt](url)
+const IMAGE_REFERENCE = /!\[((?:[^[\]]|\[[^\]]*\])*)\](?!\()(?:\[([^\]]*)\])?/g;
+const HTML_LINK = /(<(\w+)\b[^>]*?\s(?:src|href)=)(["'])(.*?)\3/gi;
+
+// Reference labels match case-insensitively with whitespace collapsed
+function normalizeLabel(label) {
+  return label.trim().replace(/\s+/g, ' ').toLowerCase();
+}
+
+// Text of the nodes outside code, as the parts mapLinks rewrites
+function textParts(node) {
+  if (node.type === 'code') return [];
+  // Inline code spans are the odd parts
+  return node.value.split(/(`+[^`]*?`+)/).filter((part, index) => index % 2 === 0);
+}
+
+/**
+ * Nodes with the URL of every link and image outside code replaced by
+ * `rewrite(url, { image, html })`: Markdown links and images, reference
+ * definitions (images when an image uses their label) and the src/href of
+ * HTML tags.
+ */
+function mapLinks(nodes, rewrite) {
+  const imageLabels = new Set();
+  nodes.flatMap(textParts).forEach(part => {
+    for (const [, alt, label] of part.matchAll(IMAGE_REFERENCE)) {
+      imageLabels.add(normalizeLabel(label || alt));
+    }
+  });
+
+  const rewriteText = text => text
+    .replace(INLINE_LINK, (match, bang, label, url) => {
+      const bare = url.replace(/^<|>$/g, '');
+      const rewritten = rewrite(bare, { image: bang === '!', html: false });
+      return `${bang}${label}${url.startsWith('<') ? `<${rewritten}>` : rewritten}`;
+    })
+    .replace(REFERENCE_DEFINITION, (match, definition, label, url) => {
+      const bare = url.replace(/^<|>$/g, '');
+      const rewritten = rewrite(bare, { image: imageLabels.has(normalizeLabel(label)), html: false });
+      return `${definition}${url.startsWith('<') ? `<${rewritten}>` : rewritten}`;
+    })
+    .replace(HTML_LINK, (match, start, tag, quote, url) => {
+      const image = /^(img|source)$/i.test(tag);
+      return `${start}${quote}${rewrite(url, { image, html: true })}${quote}`;
+    });
+
+  return nodes.map(node => {
+    if (node.type === 'code') return node;
+    // Leave inline code spans alone
+    const value = node.value
+      .split(/(`+[^`]*?`+)/)
+      .map((part, index) => (index % 2 === 1 ? part : rewriteText(part)))
+      .join('');
+    return { ...node, value };
+  });
+}
+
+module.exports = {
+  parseFrontMatter,
+  slugify,
+  hasText,
+  toPlainText,
+  splitSections,
+  extractHeadings,
+  parseBlocks,
+  stringifyBlocks,
+  convertCallouts,
+  mapLinks
+};
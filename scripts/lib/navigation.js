@@ -0,0 +1,139 @@
+/**
+ * Site navigation for the page build
+ *
+ * templates/navigation.json defines the header: an ordered list of items
+ * (`label`, `url`, optional `show: "mobile" | "desktop"` and `children`) and
+ * the call-to-action. `children` is either a list of `{ label, url }` or
+ * `{ "sidebar": "<name>" }` to link to the top-level entries of that sidebar
+ * in the docs served at /docs/: docs-setup/sidebars.js, or the newest
+ * version's file in docs-setup/versioned_sidebars once versions have been
+ * cut. The rendered menu marks the current page with aria-current="page";
+ * js/load-components.js adds the dropdown behaviour.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { getDocRoutes, getSidebarsFile } = require('./docs');
+
+const NAVIGATION_FILE = path.join(__dirname, '../../templates/navigation.json');
+
+const INDENT = '    ';
+const VISIBILITY_CLASSES = { mobile: 'nav-mobile-only', desktop: 'nav-desktop-only' };
+
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+// "/about.html", "/about/" and "/about" are the same page
+function normalizePath(url) {
+  const pathname = url.replace(/[?#].*$/, '').replace(/\/index\.html$/, '/').replace(/\.html$/, '');
+  return pathname.length > 1 ? pathname.replace(/\/$/, '') : pathname;
+}
+
+// Sidebar labels carry a leading emoji that reads badly in the site header
+function cleanLabel(label) {
+  return label.replace(/^[^\p{L}\p{N}]+/u, '').trim();
+}
+
+function getFirstDocId(item) {
+  if (typeof item === 'string') return item;
+  if (item.type === 'doc') return item.id;
+  if (item.type === 'category') {
+    if (item.link && item.link.type === 'doc') return item.link.id;
+    for (const child of item.items || []) {
+      const id = getFirstDocId(child);
+      if (id) return id;
+    }
+  }
+  return null;
+}
+
+/**
+ * One link per top-level entry of a Docusaurus sidebar, pointing at the
+ * entry's doc or, for a category, its first doc.
+ */
+function getSidebarLinks(sidebarName, sidebarsFile = getSidebarsFile()) {
+  const sidebars = require(sidebarsFile);
+  const sidebar = sidebars[sidebarName];
+  if (!Array.isArray(sidebar)) {
+    throw new Error(`Sidebar "${sidebarName}" not found in ${path.basename(sidebarsFile)}`);
+  }
+
+  const routes = getDocRoutes();
+  return sidebar
+    .map(item => {
+      const id = getFirstDocId(item);
+      const label = typeof item === 'string' ? null : item.label;
+      if (!id || !routes.has(id)) return null;
+      return { label: cleanLabel(label || id), url: routes.get(id) };
+    })
+    .filter(Boolean);
+}
+
+/**
+ * Read templates/navigation.json and resolve sidebar-backed children.
+ */
+function loadNavigation(file = NAVIGATION_FILE) {
+  const navigation = JSON.parse(fs.readFileSync(file, 'utf8'));
+  if (!Array.isArray(navigation.items) || !navigation.cta) {
+    throw new Error(`${path.basename(file)} needs "items" and "cta"`);
+  }
+
+  navigation.items = navigation.items.map(item => {
+    if (item.children && !Array.isArray(item.children)) {
+      return { ...item, children: getSidebarLinks(item.children.sidebar) };
+    }
+    return item;
+  });
+  return navigation;
+}
+
+function renderLink(item, currentPath) {
+  const current = normalizePath(item.url) === currentPath ? ' aria-current="page"' : '';
+  return `<a href="${escapeHtml(item.url)}"${current}>${escapeHtml(item.label)}</a>`;
+}
+
+function renderItem(item, currentPath, indent) {
+  const hasChildren = Array.isArray(item.children) && item.children.length > 0;
+  const classes = [hasChildren ? 'nav-dropdown' : '', VISIBILITY_CLASSES[item.show] || '']
+    .filter(Boolean)
+    .join(' ');
+  const open = `${indent}<li${classes ? ` class="${classes}"` : ''}>`;
+
+  if (!hasChildren) {
+    return `${open}${renderLink(item, currentPath)}</li>`;
+  }
+
+  const inner = indent + INDENT;
+  const submenuId = `nav-submenu-${item.label.toLowerCase().replace(/[^a-z0-9]+/g, '-')}`;
+  return [
+    open,
+    `${inner}${renderLink(item, currentPath)}`,
+    `${inner}<button type="button" class="nav-dropdown-toggle" aria-expanded="false" aria-controls="${submenuId}" aria-label="${escapeHtml(item.label)} pages">`,
+    `${inner}${INDENT}<svg width="12" height="12" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" aria-hidden="true"><path d="m6 9 6 6 6-6"></path></svg>`,
+    `${inner}</button>`,
+    `${inner}<ul class="nav-submenu" id="${submenuId}">`,
+    ...item.children.map(child => `${inner}${INDENT}<li>${renderLink(child, currentPath)}</li>`),
+    `${inner}</ul>`,
+    `${indent}</li>`
+  ].join('\n');
+}
+
+/**
+ * Template variables for the header partial on the page at `currentPath`:
+ * `navItems` (the menu's <li> elements), `ctaLabel` and `ctaUrl`.
+ */
+function renderNavigation(navigation, currentPath, indent = INDENT.repeat(3)) {
+  const current = normalizePath(currentPath);
+  return {
+    navItems: navigation.items.map(item => renderItem(item, current, indent)).join('\n'),
+    ctaLabel: navigation.cta.label,
+    ctaUrl: navigation.cta.url
+  };
+}
+
+module.exports = { loadNavigation, renderNavigation, getSidebarLinks, normalizePath };
@@ -0,0 +1,53 @@
+/**
+ * Page sources for the build scripts
+ *
+ * Lists the pages in pages/ and splits a page source into its front matter
+ * and named blocks (the format is described in scripts/build-site.js).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const markdown = require('./markdown');
+
+const PAGES_DIR = path.join(__dirname, '../../pages');
+
+/**
+ * Split a page source into its front matter and `<!-- block:name -->` blocks.
+ */
+function parsePage(source) {
+  const { data, body } = markdown.parseFrontMatter(source);
+  const blocks = { head: '', jsonld: '', content: '', scripts: '' };
+  const parts = body.split(/^[ \t]*<!-- block:([\w-]+) -->[ \t]*\r?\n/m);
+
+  for (let i = 1; i < parts.length; i += 2) {
+    if (!(parts[i] in blocks)) {
+      throw new Error(`Unknown block "${parts[i]}"`);
+    }
+    blocks[parts[i]] = parts[i + 1].replace(/\s+$/, '');
+  }
+
+  return { data, blocks };
+}
+
+// `file` in pages/ (e.g. "about.html"), parsed
+function readPage(file) {
+  return parsePage(fs.readFileSync(path.join(PAGES_DIR, file), 'utf8'));
+}
+
+// Paths relative to pages/; subdirectories map to the same URL paths in dist/
+function listPages(dir = '') {
+  return fs.readdirSync(path.join(PAGES_DIR, dir), { withFileTypes: true })
+    .flatMap(entry => {
+      const relative = path.posix.join(dir, entry.name);
+      if (entry.isDirectory()) return listPages(relative);
+      return entry.name.endsWith('.html') ? [relative] : [];
+    })
+    .sort();
+}
+
+module.exports = {
+  PAGES_DIR,
+  parsePage,
+  readPage,
+  listPages
+};
@@ -0,0 +1,417 @@
+/**
+ * schema.org structured data for the site
+ *
+ * Builds the JSON-LD graph of a page from one set of facts: the organization
+ * in templates/ai-context.json, the page's front matter and the rendered
+ * page itself (its title, description, headings and FAQ section), and checks
+ * nodes against the properties their type requires.
+ *
+ * scripts/build-site.js writes the graph into every page,
+ * scripts/validate-seo.js validates it and the docs theme
+ * (docs-setup/src/theme/DocItem/Metadata) describes each doc as a
+ * TechArticle. Neither this module nor scripts/lib/html.js uses Node APIs,
+ * so the docs can bundle it.
+ */
+
+const html = require('./html');
+
+const SITE_URL = 'https://olocus.com';
+const ORGANIZATION_ID = `${SITE_URL}/#organization`;
+const WEBSITE_ID = `${SITE_URL}/#website`;
+
+// The type each schema.org type the site uses extends
+const PARENT_TYPES = {
+  AboutPage: 'WebPage',
+  CollectionPage: 'WebPage',
+  ContactPage: 'WebPage',
+  FAQPage: 'WebPage',
+  ItemPage: 'WebPage',
+  SearchResultsPage: 'WebPage',
+  WebPage: 'CreativeWork',
+  WebSite: 'CreativeWork',
+  Article: 'CreativeWork',
+  TechArticle: 'Article',
+  BlogPosting: 'Article',
+  NewsArticle: 'Article',
+  SoftwareApplication: 'CreativeWork',
+  CreativeWork: 'Thing',
+  Organization: 'Thing',
+  Product: 'Thing',
+  Question: 'Comment',
+  Answer: 'Comment',
+  Comment: 'CreativeWork',
+  BreadcrumbList: 'ItemList',
+  ListItem: 'Intangible',
+  SearchAction: 'Action',
+  EntryPoint: 'Intangible',
+  PostalAddress: 'Intangible',
+  ContactPoint: 'Intangible',
+  ImageObject: 'CreativeWork'
+};
+
+// Properties a node of each type (and every subtype) must have: what the
+// type needs to say anything, plus what search engines require for the
+// matching rich result
+const REQUIRED_PROPERTIES = {
+  Organization: ['name', 'url'],
+  WebSite: ['name', 'url'],
+  WebPage: ['name', 'url'],
+  FAQPage: ['mainEntity'],
+  Question: ['name', 'acceptedAnswer'],
+  Answer: ['text'],
+  Article: ['headline', 'author', 'publisher'],
+  BreadcrumbList: ['itemListElement'],
+  ListItem: ['position', 'name'],
+  SearchAction: ['target', 'query-input'],
+  EntryPoint: ['urlTemplate'],
+  PostalAddress: ['addressCountry'],
+  ContactPoint: ['contactType'],
+  ImageObject: ['url'],
+  Product: ['name'],
+  SoftwareApplication: ['name', 'offers']
+};
+
+const ARTICLE_TYPE = 'Article';
+
+function getTypes(node) {
+  return [].concat((node && node['@type']) || []);
+}
+
+/**
+ * Whether schema.org `type` is `base` or one of its subtypes.
+ */
+function isA(type, base) {
+  for (let current = type; current; current = PARENT_TYPES[current]) {
+    if (current === base) return true;
+  }
+  return false;
+}
+
+function getRequiredProperties(node) {
+  const required = new Set();
+  getTypes(node).forEach(type => {
+    for (let current = type; current; current = PARENT_TYPES[current]) {
+      (REQUIRED_PROPERTIES[current] || []).forEach(property => required.add(property));
+    }
+  });
+  return [...required];
+}
+
+function isEmpty(value) {
+  return value === undefined || value === null || value === '' || (Array.isArray(value) && value.length === 0);
+}
+
+/**
+ * Required properties `node` lacks, in the order REQUIRED_PROPERTIES lists
+ * them.
+ */
+function findMissingProperties(node) {
+  return getRequiredProperties(node).filter(property => isEmpty(node[property]));
+}
+
+/**
+ * Every typed node in a JSON-LD value, nested nodes and @graph items
+ * included.
+ */
+function collectNodes(data, nodes = []) {
+  if (Array.isArray(data)) {
+    data.forEach(item => collectNodes(item, nodes));
+  } else if (data && typeof data === 'object') {
+    if (data['@type']) nodes.push(data);
+    Object.values(data).forEach(value => collectNodes(value, nodes));
+  }
+  return nodes;
+}
+
+/**
+ * `{ "@id": ... }` references in a JSON-LD value, the nodes they point to
+ * defined elsewhere in the page's graph.
+ */
+function collectReferences(data, references = []) {
+  if (Array.isArray(data)) {
+    data.forEach(item => collectReferences(item, references));
+  } else if (data && typeof data === 'object') {
+    const keys = Object.keys(data);
+    if (keys.length === 1 && keys[0] === '@id') references.push(data['@id']);
+    else Object.values(data).forEach(value => collectReferences(value, references));
+  }
+  return references;
+}
+
+const reference = id => ({ '@id': id });
+
+function absoluteUrl(url) {
+  return new URL(url, SITE_URL).href;
+}
+
+/**
+ * The Organization node from templates/ai-context.json.
+ */
+function buildOrganization(aiContext) {
+  const { service, company } = aiContext;
+  const organization = {
+    '@type': 'Organization',
+    '@id': ORGANIZATION_ID,
+    name: service.name,
+    legalName: company.legal_name,
+    alternateName: company.alternate_name,
+    url: service.website,
+    logo: { '@type': 'ImageObject', url: absoluteUrl(company.logo) },
+    description: company.description,
+    foundingDate: service.founded,
+    email: company.contact,
+    contactPoint: { '@type': 'ContactPoint', contactType: 'General Enquiries', email: company.contact },
+    sameAs: company.profiles
+  };
+
+  if (company.address) {
+    organization.address = {
+      '@type': 'PostalAddress',
+      streetAddress: company.address.street,
+      addressLocality: company.address.locality,
+      postalCode: company.address.postal_code,
+      addressCountry: company.address.country
+    };
+  }
+  return organization;
+}
+
+/**
+ * The WebSite node, searchable through `searchUrl` (the search page in the
+ * page's language).
+ */
+function buildWebSite(aiContext, { lang, searchUrl }) {
+  return {
+    '@type': 'WebSite',
+    '@id': WEBSITE_ID,
+    url: `${SITE_URL}/`,
+    name: aiContext.service.name,
+    description: aiContext.service.type,
+    publisher: reference(ORGANIZATION_ID),
+    inLanguage: lang,
+    potentialAction: {
+      '@type': 'SearchAction',
+      target: { '@type': 'EntryPoint', urlTemplate: `${absoluteUrl(searchUrl)}?q={search_term_string}` },
+      'query-input': 'required name=search_term_string'
+    }
+  };
+}
+
+/**
+ * A BreadcrumbList of `crumbs`, `{ name, url }` from the home page down to
+ * the page itself.
+ */
+function buildBreadcrumbs(crumbs, pageUrl) {
+  return {
+    '@type': 'BreadcrumbList',
+    '@id': `${pageUrl}#breadcrumb`,
+    itemListElement: crumbs.map((crumb, index) => ({
+      '@type': 'ListItem',
+      position: index + 1,
+      name: crumb.name,
+      item: absoluteUrl(crumb.url)
+    }))
+  };
+}
+
+// Elements whose text reads as a sentence, or a label, of its own
+const TEXT_BLOCKS = new Set(['blockquote', 'dd', 'div', 'dt', 'figcaption', 'p', 'section']);
+
+/**
+ * The sentences of `elements` joined into one text: nested blocks are read
+ * in turn, a list's items separated by semicolons, and a label without
+ * closing punctuation ("Current State") gets a colon before what follows.
+ */
+function readBlocks(elements) {
+  const parts = [];
+  for (const element of elements) {
+    if (['ul', 'ol'].includes(element.tagName)) {
+      const items = html.querySelectorAll(element, 'li').map(item => html.textContent(item));
+      parts.push({ text: items.join('; '), list: true });
+      continue;
+    }
+    // Text and inline elements between nested blocks make up one part
+    let inline = [];
+    const flush = () => {
+      parts.push({ text: html.textContent({ children: inline }) });
+      inline = [];
+    };
+    for (const child of element.children) {
+      if (child.type === 'element' && (TEXT_BLOCKS.has(child.tagName) || ['ul', 'ol'].includes(child.tagName))) {
+        flush();
+        parts.push({ text: readBlocks([child]) });
+      } else {
+        inline.push(child);
+      }
+    }
+    flush();
+  }
+  const texts = parts.filter(part => part.text);
+  return texts
+    .map((part, index) => index < texts.length - 1 && !part.list && !/[.!?:;…]$/.test(part.text) ? `${part.text}:` : part.text)
+    .join(' ');
+}
+
+/**
+ * The items of a section made of <h3> headings, such as a FAQ: each
+ * heading's text and the text of the elements after it, up to the next <h3>.
+ */
+function extractHeadingItems(section) {
+  return html.querySelectorAll(section, 'h3').map(heading => {
+    const siblings = heading.parent.children.filter(child => child.type === 'element');
+    const next = siblings.slice(siblings.indexOf(heading) + 1);
+    const end = next.findIndex(sibling => sibling.tagName === 'h3');
+    return { heading: html.textContent(heading), text: readBlocks(end === -1 ? next : next.slice(0, end)) };
+  });
+}
+
+function buildFaqPage(section, pageUrl, webPageId) {
+  const id = html.getAttribute(section, 'id');
+  const heading = html.querySelector(section, 'h1, h2');
+  return {
+    '@type': 'FAQPage',
+    '@id': `${pageUrl}#${id || 'faq'}`,
+    url: id ? `${pageUrl}#${id}` : pageUrl,
+    name: heading ? html.textContent(heading) : 'FAQ',
+    isPartOf: reference(webPageId),
+    mainEntity: extractHeadingItems(section).map(item => ({
+      '@type': 'Question',
+      name: item.heading,
+      acceptedAnswer: { '@type': 'Answer', text: item.text }
+    }))
+  };
+}
+
+/**
+ * The JSON-LD document of a rendered page.
+ *
+ * `document` is the page parsed with scripts/lib/html.js, in its final
+ * language. `page` is its front matter: `itemtype` gives the schema.org
+ * type of the page (a WebPage subtype) or of its main article (an Article
+ * subtype, which then gets its own node), `datePublished` the article's
+ * publication date and `faq` a selector for the FAQ section. `extra` holds
+ * properties merged into the article, or the page node without one.
+ * `crumbs` are the breadcrumbs (none for the home page), `dateModified` the
+ * page's last change and `searchUrl` the search page for its language.
+ */
+function buildPageGraph(document, { aiContext, page, extra = {}, crumbs = [], dateModified, searchUrl }) {
+  const text = selector => {
+    const element = html.querySelector(document, selector);
+    return element ? html.textContent(element) : '';
+  };
+  const attribute = (selector, name) => {
+    const element = html.querySelector(document, selector);
+    return element ? html.getAttribute(element, name) || '' : '';
+  };
+
+  const pageUrl = attribute('link[rel~="canonical"]', 'href') || absoluteUrl(page.path);
+  const lang = attribute('html', 'lang');
+  const description = attribute('meta[name="description"]', 'content');
+  const image = attribute('meta[property="og:image"]', 'content');
+  const type = String(page.itemtype || 'WebPage').replace(/^https?:\/\/schema\.org\//, '');
+  const isArticle = isA(type, ARTICLE_TYPE);
+
+  const webPage = {
+    '@type': isArticle ? 'WebPage' : type,
+    '@id': `${pageUrl}#webpage`,
+    url: pageUrl,
+    name: text('title'),
+    description,
+    inLanguage: lang,
+    isPartOf: reference(WEBSITE_ID),
+    about: reference(ORGANIZATION_ID),
+    dateModified
+  };
+  if (image) webPage.primaryImageOfPage = { '@type': 'ImageObject', url: image };
+
+  const graph = [buildOrganization(aiContext), buildWebSite(aiContext, { lang, searchUrl }), webPage];
+
+  if (crumbs.length > 1) {
+    const breadcrumbs = buildBreadcrumbs(crumbs, pageUrl);
+    webPage.breadcrumb = reference(breadcrumbs['@id']);
+    graph.push(breadcrumbs);
+  }
+
+  let mainNode = webPage;
+  if (isArticle) {
+    mainNode = {
+      '@type': type,
+      '@id': `${pageUrl}#article`,
+      headline: text('h1'),
+      description,
+      inLanguage: lang,
+      author: reference(ORGANIZATION_ID),
+      publisher: reference(ORGANIZATION_ID),
+      datePublished: page.datePublished,
+      dateModified,
+      mainEntityOfPage: reference(webPage['@id'])
+    };
+    if (image) mainNode.image = image;
+    webPage.mainEntity = reference(mainNode['@id']);
+    graph.push(mainNode);
+  }
+
+  if (page.faq) {
+    const section = html.querySelector(document, page.faq);
+    if (!section) {
+      throw new Error(`faq: no element matches "${page.faq}"`);
+    }
+    graph.push(buildFaqPage(section, pageUrl, webPage['@id']));
+  }
+
+  Object.assign(mainNode, extra);
+  return { '@context': 'https://schema.org', '@graph': graph.map(removeEmpty) };
+}
+
+/**
+ * A TechArticle for one page of the protocol docs. `doc` is `{ title,
+ * description, url, lang, dateModified }`.
+ */
+function buildTechArticle(aiContext, doc) {
+  return removeEmpty({
+    '@context': 'https://schema.org',
+    '@graph': [
+      buildOrganization(aiContext),
+      {
+        '@type': 'TechArticle',
+        '@id': `${doc.url}#article`,
+        url: doc.url,
+        headline: doc.title,
+        description: doc.description,
+        inLanguage: doc.lang,
+        author: reference(ORGANIZATION_ID),
+        publisher: reference(ORGANIZATION_ID),
+        dateModified: doc.dateModified,
+        mainEntityOfPage: doc.url
+      }
+    ]
+  });
+}
+
+// Drop unset properties so optional facts don't show up as empty values
+function removeEmpty(value) {
+  if (Array.isArray(value)) return value.map(removeEmpty);
+  if (!value || typeof value !== 'object') return value;
+  return Object.fromEntries(
+    Object.entries(value)
+      .filter(([, property]) => !isEmpty(property))
+      .map(([key, property]) => [key, removeEmpty(property)])
+  );
+}
+
+module.exports = {
+  SITE_URL,
+  ORGANIZATION_ID,
+  WEBSITE_ID,
+  REQUIRED_PROPERTIES,
+  getTypes,
+  isA,
+  findMissingProperties,
+  collectNodes,
+  collectReferences,
+  extractHeadingItems,
+  buildOrganization,
+  buildWebSite,
+  buildPageGraph,
+  buildTechArticle
+};
@@ -0,0 +1,335 @@
+#!/usr/bin/env node
+
+/**
+ * Search Analytics Report
+ *
+ * Summarises the buckets collected by scripts/search-analytics-server.js and
+ * lists the terms that most often return no results - the gaps worth filling
+ * with new pages or docs. Buckets only hold randomized-response slot lists
+ * (see js/search-analytics.js), so terms are recovered by hashing candidate
+ * terms into the same slots: the curated list in
+ * scripts/search-analytics-terms.txt plus any listed in --terms, one per line.
+ * A term nobody listed cannot be named, however often it is searched. Terms
+ * sharing a slot are reported together.
+ *
+ * Each client counts once per slot: its buckets are averaged per client id
+ * before they are summed, so the totals estimate how many distinct clients
+ * searched a slot without results (a client counts as the share of its days
+ * it did). A term is only reported once that estimate is at least k even
+ * after subtracting CONFIDENCE_SIGMAS standard deviations of the noise - the
+ * minimum reportable audience printed with the report - so searching the same
+ * unusual term on many days does not get a single visitor's query past it.
+ *
+ *   node scripts/search-analytics-report.js [--in file] [--terms file] [--k 5] [--limit 20] [--json]
+ *   node scripts/search-analytics-report.js --simulate [--clients 400]
+ *
+ * --simulate runs the report on buckets generated the way the browser would
+ * for a realistic audience and exits with 1 if a term searched by fewer than
+ * k clients is reported, or a term searched by twice the minimum reportable
+ * audience is missed.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const ROOT_DIR = path.join(__dirname, '..');
+const { SCHEMA_VERSION, SLOTS } = require('./search-analytics-server');
+
+const DEFAULT_INPUT_FILE = path.join(ROOT_DIR, '.search-analytics/buckets.jsonl');
+const TERMS_FILE = path.join(__dirname, 'search-analytics-terms.txt');
+const MAX_TERM_LENGTH = 32;
+// Only slots with a candidate term are tested, so a few dozen to a few
+// hundred comparisons share the false-positive risk
+const CONFIDENCE_SIGMAS = 3;
+const DEFAULT_K = 5;
+const DEFAULT_LIMIT = 20;
+
+// --simulate: a month of weekly client ids from about a hundred opted-in
+// visitors a week, searching on one to three days of their week. Defaults
+// mirror DEFAULT_CONFIG in js/search-analytics.js.
+const DEFAULT_SIMULATED_CLIENTS = 400;
+const SIMULATED_ZERO_RESULT_DAY_RATE = 0.3;
+const SIMULATED_EPSILON = 6;
+const SIMULATED_SLOT_EPSILON_SHARE = 5 / 6;
+
+function getOption(args, name, fallback) {
+  const index = args.indexOf(name);
+  return index !== -1 && args[index + 1] ? args[index + 1] : fallback;
+}
+
+function readBuckets(file) {
+  return fs.readFileSync(file, 'utf8')
+    .split('\n')
+    .filter(line => line.trim())
+    .map((line, index) => {
+      try {
+        const bucket = JSON.parse(line);
+        // Older schemas carried raw terms or Laplace-noised vectors
+        if (bucket.schema === SCHEMA_VERSION) return bucket;
+        console.warn(`⚠️  Skipping line ${index + 1} with schema ${bucket.schema}`);
+      } catch (error) {
+        console.warn(`⚠️  Skipping malformed line ${index + 1}`);
+      }
+      return null;
+    })
+    .filter(Boolean);
+}
+
+// Mirrors toTerms in js/search-analytics.js
+function toTerms(text) {
+  return Array.from(new Set(
+    text.toLowerCase()
+      .split(/[^\p{L}\p{N}]+/u)
+      .filter(term => term.length >= 2 && term.length <= MAX_TERM_LENGTH && !/\d{4,}/.test(term))
+  ));
+}
+
+// Mirrors toSlot in js/search-analytics.js
+function toSlot(term) {
+  let hash = 0x811c9dc5;
+  Buffer.from(term, 'utf8').forEach(byte => {
+    hash = Math.imul(hash ^ byte, 0x01000193) >>> 0;
+  });
+  return hash % SLOTS;
+}
+
+function readTermsFile(file) {
+  return fs.readFileSync(file, 'utf8')
+    .split('\n')
+    .filter(line => !line.trim().startsWith('#'))
+    .join('\n');
+}
+
+/**
+ * The candidate terms for each slot: the curated list in TERMS_FILE plus the
+ * words in `extraFile`. Words from the search indexes are not candidates -
+ * searching for them finds the page they came from.
+ */
+function readCandidates(extraFile) {
+  const texts = [readTermsFile(TERMS_FILE)];
+  if (extraFile) texts.push(readTermsFile(extraFile));
+
+  const candidates = new Map();
+  texts.forEach(text => {
+    toTerms(text).forEach(term => {
+      const slot = toSlot(term);
+      if (!candidates.has(slot)) candidates.set(slot, new Set());
+      candidates.get(slot).add(term);
+    });
+  });
+  return candidates;
+}
+
+/**
+ * The estimated number of clients a term needs before it is reported, given
+ * the variance of a slot's estimate
+ */
+function getThreshold(variance, k) {
+  return Math.ceil(k + CONFIDENCE_SIGMAS * Math.sqrt(variance));
+}
+
+/**
+ * Aggregate buckets into per-slot estimates of distinct clients, suppressing
+ * slots estimated below k clients once the noise is allowed for
+ */
+function buildReport(buckets, candidates, k) {
+  const bucketsPerClient = new Map();
+  const periods = new Set();
+  buckets.forEach(bucket => {
+    bucketsPerClient.set(bucket.client, (bucketsPerClient.get(bucket.client) || 0) + 1);
+    periods.add(bucket.period);
+  });
+
+  // Unbiased estimates: a slot not searched is reported with probability q
+  // and a searched one with 1/2, so (reported - q) / (1/2 - q) averages to
+  // whether it was searched. Weighting each bucket by 1 / (its client's
+  // buckets) averages a client's days, so no client adds more than one.
+  const zeroResults = new Array(SLOTS).fill(0);
+  let baseline = 0;
+  let variance = 0;
+  let zeroResultDays = 0;
+  buckets.forEach(bucket => {
+    const weight = 1 / bucketsPerClient.get(bucket.client);
+    const q = bucket.zeroResultsNoise;
+    const signal = 0.5 - q;
+    baseline -= weight * q / signal;
+    variance += weight ** 2 * q * (1 - q) / signal ** 2;
+    bucket.zeroResults.forEach(slot => {
+      zeroResults[slot] += weight / signal;
+    });
+
+    const flip = bucket.zeroResultDayNoise;
+    zeroResultDays += (bucket.zeroResultDay - flip) / (1 - 2 * flip);
+  });
+
+  const threshold = getThreshold(variance, k);
+  const missingTerms = [];
+  candidates.forEach((terms, slot) => {
+    const clients = zeroResults[slot] + baseline;
+    if (clients < threshold) return;
+    missingTerms.push({ slot, terms: Array.from(terms).sort(), clients: Math.floor(clients) });
+  });
+  const sortedPeriods = Array.from(periods).sort();
+
+  return {
+    k,
+    threshold,
+    buckets: buckets.length,
+    clients: bucketsPerClient.size,
+    from: sortedPeriods[0] || null,
+    to: sortedPeriods[sortedPeriods.length - 1] || null,
+    zeroResultDays: Math.round(zeroResultDays),
+    candidateSlots: candidates.size,
+    missingTerms: missingTerms.sort((a, b) => b.clients - a.clients)
+  };
+}
+
+function formatPercent(value) {
+  return `${Math.round(Math.min(Math.max(value, 0), 1) * 100)}%`;
+}
+
+function printReport(report, limit) {
+  console.log('📊 Search analytics report');
+  console.log(`   ${report.buckets} buckets from ${report.clients} clients${report.from ? ` from ${report.from} to ${report.to}` : ''}`);
+  if (report.buckets > 0) {
+    console.log(`   ~${formatPercent(report.zeroResultDays / report.buckets)} of days with searches had one with no results`);
+  }
+  console.log(`   Minimum reportable audience: an estimated ${report.threshold} clients` +
+    (report.clients > 0 ? ` (${formatPercent(report.threshold / report.clients)} of them)` : '') +
+    ` - k=${report.k} plus ${CONFIDENCE_SIGMAS} standard deviations of noise`);
+  console.log(`   ${report.candidateSlots} slots have a candidate term (scripts/search-analytics-terms.txt and --terms)`);
+  console.log('');
+
+  if (report.missingTerms.length === 0) {
+    console.log('✅ No reportable zero-result terms');
+  } else {
+    console.log('🔍 Top missing terms:');
+    report.missingTerms.slice(0, limit).forEach((stats, index) => {
+      console.log(`  ${String(index + 1).padStart(2)}. ${stats.terms.join(' / ').padEnd(24)} ` +
+        `${String(stats.clients).padStart(5)} clients with no results`);
+    });
+  }
+
+  console.log('\nCounts are estimates from differentially private buckets and are approximate.');
+}
+
+// Deterministic PRNG so the simulation gives the same verdict on every run
+function createRandom(seed) {
+  let state = seed >>> 0;
+  return function random() {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let value = state;
+    value = Math.imul(value ^ (value >>> 15), value | 1);
+    value ^= value + Math.imul(value ^ (value >>> 7), value | 61);
+    return ((value ^ (value >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// Mirrors toPayload in js/search-analytics.js
+function simulateBucket(client, zeroResultSlot, random) {
+  const slotEpsilon = SIMULATED_EPSILON * SIMULATED_SLOT_EPSILON_SHARE;
+  const slotNoise = 1 / (Math.exp(slotEpsilon) + 1);
+  const dayNoise = 1 / (Math.exp(SIMULATED_EPSILON - slotEpsilon) + 1);
+  const zeroResults = [];
+  for (let slot = 0; slot < SLOTS; slot++) {
+    if (random() < (slot === zeroResultSlot ? 0.5 : slotNoise)) zeroResults.push(slot);
+  }
+  return {
+    schema: SCHEMA_VERSION,
+    client,
+    period: '2026-01-01',
+    epsilon: SIMULATED_EPSILON,
+    zeroResultsNoise: slotNoise,
+    zeroResultDayNoise: dayNoise,
+    zeroResults,
+    zeroResultDay: (random() < dayNoise) !== (zeroResultSlot !== null) ? 1 : 0
+  };
+}
+
+/**
+ * Generate buckets for `clientCount` clients whose zero-result terms follow
+ * a Zipf distribution over the candidate terms, and check the report against
+ * the truth. Returns the problems found.
+ */
+function simulate(clientCount, k) {
+  const random = createRandom(clientCount);
+  const terms = toTerms(readTermsFile(TERMS_FILE));
+  const weights = terms.map((term, rank) => 1 / (rank + 1));
+  const totalWeight = weights.reduce((sum, weight) => sum + weight, 0);
+  const pickTerm = () => {
+    let target = random() * totalWeight;
+    return terms.find((term, index) => (target -= weights[index]) < 0) || terms[terms.length - 1];
+  };
+
+  const buckets = [];
+  // Distinct clients with a zero-result search per slot, each weighted by
+  // its share of days like the report does
+  const truth = new Map();
+  for (let index = 0; index < clientCount; index++) {
+    const client = index.toString(16).padStart(32, '0');
+    const days = 1 + Math.floor(random() * 3);
+    for (let day = 0; day < days; day++) {
+      const slot = random() < SIMULATED_ZERO_RESULT_DAY_RATE ? toSlot(pickTerm()) : null;
+      if (slot !== null) truth.set(slot, (truth.get(slot) || 0) + 1 / days);
+      buckets.push(simulateBucket(client, slot, random));
+    }
+  }
+
+  const report = buildReport(buckets, readCandidates(null), k);
+  const reported = new Set(report.missingTerms.map(stats => stats.slot));
+  const problems = [];
+  report.missingTerms.forEach(stats => {
+    const actual = truth.get(stats.slot) || 0;
+    if (actual < k) problems.push(`${stats.terms.join(' / ')} reported with ${actual.toFixed(1)} clients, below k=${k}`);
+  });
+  truth.forEach((actual, slot) => {
+    if (actual >= 2 * report.threshold && !reported.has(slot)) {
+      problems.push(`${Array.from(readCandidates(null).get(slot)).join(' / ')} missed with ${actual.toFixed(1)} clients`);
+    }
+  });
+
+  const visible = Array.from(truth.values()).filter(actual => actual >= report.threshold).length;
+  console.log(`🧪 Simulated ${clientCount} clients, ${report.buckets} buckets (epsilon ${SIMULATED_EPSILON})`);
+  console.log(`   Minimum reportable audience: ${report.threshold} clients (${formatPercent(report.threshold / clientCount)})`);
+  console.log(`   Reported ${report.missingTerms.length} terms; ${visible} were searched by at least that many clients`);
+  return problems;
+}
+
+function main() {
+  const args = process.argv.slice(2);
+  const k = parseInt(getOption(args, '--k', DEFAULT_K), 10);
+  const limit = parseInt(getOption(args, '--limit', DEFAULT_LIMIT), 10);
+
+  if (args.includes('--simulate')) {
+    const problems = simulate(parseInt(getOption(args, '--clients', DEFAULT_SIMULATED_CLIENTS), 10), k);
+    if (problems.length > 0) {
+      problems.forEach(problem => console.error(`❌ ${problem}`));
+      process.exit(1);
+    }
+    console.log('✅ No term below k reported and no term with twice the minimum audience missed');
+    return;
+  }
+
+  const inputFile = path.resolve(getOption(args, '--in', DEFAULT_INPUT_FILE));
+  const termsFile = getOption(args, '--terms', null);
+
+  if (!fs.existsSync(inputFile)) {
+    console.error(`❌ No analytics data at ${path.relative(process.cwd(), inputFile)}`);
+    console.error('   Start scripts/search-analytics-server.js and point the site at it first.');
+    process.exit(1);
+  }
+
+  const report = buildReport(readBuckets(inputFile), readCandidates(termsFile && path.resolve(termsFile)), k);
+
+  if (args.includes('--json')) {
+    console.log(JSON.stringify({ ...report, missingTerms: report.missingTerms.slice(0, limit) }, null, 2));
+  } else {
+    printReport(report, limit);
+  }
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = { buildReport, getThreshold, readBuckets, readCandidates, simulate, toSlot };
@@ -0,0 +1,137 @@
+#!/usr/bin/env node
+
+/**
+ * Search Analytics Collector (local stub)
+ *
+ * Receives the randomized-response buckets flushed by js/search-analytics.js and
+ * appends them to a JSON Lines file for scripts/search-analytics-report.js.
+ * Anything that is not a well-formed bucket is rejected, so terms or queries
+ * cannot be stored even by a misbehaving client. Point the site at it with:
+ *
+ *   window.OLOCUS_SEARCH_ANALYTICS = { endpoint: 'http://localhost:8787/api/search-analytics' };
+ *
+ *   node scripts/search-analytics-server.js [--port 8787] [--out .search-analytics/buckets.jsonl]
+ */
+
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+
+const ROOT_DIR = path.join(__dirname, '..');
+const ENDPOINT_PATH = '/api/search-analytics';
+const DEFAULT_PORT = 8787;
+const DEFAULT_OUTPUT_FILE = path.join(ROOT_DIR, '.search-analytics/buckets.jsonl');
+
+// Mirrors the limits in js/search-analytics.js
+const SCHEMA_VERSION = 3;
+const SLOTS = 4096;
+const MAX_BODY_BYTES = 64 * 1024;
+
+function getOption(args, name, fallback) {
+  const index = args.indexOf(name);
+  return index !== -1 && args[index + 1] ? args[index + 1] : fallback;
+}
+
+// Randomized response only adds noise with a probability below 1/2
+function isNoiseProbability(value) {
+  return typeof value === 'number' && value > 0 && value < 0.5;
+}
+
+// Ascending, distinct slot numbers
+function isSlotList(value) {
+  return Array.isArray(value) && value.every((slot, index) =>
+    Number.isInteger(slot) && slot >= 0 && slot < SLOTS && (index === 0 || slot > value[index - 1])
+  );
+}
+
+/**
+ * Validate a bucket and return a normalised copy, or throw describing the problem
+ */
+function validateBucket(bucket) {
+  if (!bucket || typeof bucket !== 'object') throw new Error('body must be a JSON object');
+  if (bucket.schema !== SCHEMA_VERSION) throw new Error(`unsupported schema ${bucket.schema}`);
+  if (typeof bucket.client !== 'string' || !/^[0-9a-f]{32}$/.test(bucket.client)) throw new Error('client must be 32 hex digits');
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(bucket.period)) throw new Error('period must be YYYY-MM-DD');
+  if (typeof bucket.epsilon !== 'number' || !(bucket.epsilon > 0)) throw new Error('epsilon must be positive');
+  if (!isNoiseProbability(bucket.zeroResultsNoise) || !isNoiseProbability(bucket.zeroResultDayNoise)) {
+    throw new Error('zeroResultsNoise and zeroResultDayNoise must be between 0 and 0.5');
+  }
+  if (!isSlotList(bucket.zeroResults)) throw new Error(`zeroResults must list ascending slots below ${SLOTS}`);
+  if (bucket.zeroResultDay !== 0 && bucket.zeroResultDay !== 1) throw new Error('zeroResultDay must be 0 or 1');
+
+  return {
+    schema: SCHEMA_VERSION,
+    client: bucket.client,
+    period: bucket.period,
+    epsilon: bucket.epsilon,
+    zeroResultsNoise: bucket.zeroResultsNoise,
+    zeroResultDayNoise: bucket.zeroResultDayNoise,
+    zeroResults: bucket.zeroResults,
+    zeroResultDay: bucket.zeroResultDay
+  };
+}
+
+function createServer(outputFile) {
+  return http.createServer((req, res) => {
+    // Beacons are sent as text/plain simple requests, so no preflight is needed,
+    // but answer one anyway for clients that fall back to fetch
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+
+    const pathname = req.url.split('?')[0];
+    if (pathname !== ENDPOINT_PATH) {
+      res.writeHead(404).end();
+      return;
+    }
+    if (req.method === 'OPTIONS') {
+      res.writeHead(204).end();
+      return;
+    }
+    if (req.method !== 'POST') {
+      res.writeHead(405, { Allow: 'POST, OPTIONS' }).end();
+      return;
+    }
+
+    let body = '';
+    let tooLarge = false;
+    req.setEncoding('utf8');
+    req.on('data', chunk => {
+      body += chunk;
+      if (body.length > MAX_BODY_BYTES) {
+        tooLarge = true;
+        req.destroy();
+      }
+    });
+    req.on('end', () => {
+      if (tooLarge) return;
+      try {
+        const bucket = validateBucket(JSON.parse(body));
+        fs.appendFileSync(outputFile, JSON.stringify(bucket) + '\n');
+        console.log(`📥 ${bucket.period}: bucket from client ${bucket.client.slice(0, 8)}…`);
+        res.writeHead(204).end();
+      } catch (error) {
+        console.warn(`⚠️  Rejected bucket: ${error.message}`);
+        res.writeHead(400, { 'Content-Type': 'text/plain' }).end(error.message);
+      }
+    });
+  });
+}
+
+function main() {
+  const args = process.argv.slice(2);
+  const port = parseInt(getOption(args, '--port', DEFAULT_PORT), 10);
+  const outputFile = path.resolve(getOption(args, '--out', DEFAULT_OUTPUT_FILE));
+
+  fs.mkdirSync(path.dirname(outputFile), { recursive: true });
+  createServer(outputFile).listen(port, () => {
+    console.log(`📊 Search analytics collector on http://localhost:${port}${ENDPOINT_PATH}`);
+    console.log(`   Writing buckets to ${path.relative(process.cwd(), outputFile)}`);
+  });
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = { createServer, validateBucket, SCHEMA_VERSION, SLOTS };
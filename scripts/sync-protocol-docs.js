@@ -5,56 +5,108 @@
  * 
  * This script fetches the latest documentation from the Olocus Protocol
  * repository and transforms it for the website documentation.
+ *
+ * Which upstream files become which docs is configured in
+ * docs-setup/sync-protocol-docs.json:
+ *
+ *   discover     globs (scripts/lib/glob.js) of upstream files that should
+ *                become docs; the sync lists those no rule claims
+ *   ignore       globs of upstream files that never become docs
+ *   categories   per sidebar category: `frontMatter`, `prepend` and
+ *                `stripTitle` defaults for its rules
+ *   rules        in order, the first rule whose `source` glob matches a file
+ *                claims it:
+ *                  source       glob of upstream files (`/README.md` for
+ *                               the root one only)
+ *                  target       path under docs-setup/docs
+ *                  category     key in `categories`; the sidebar category
+ *                               the doc is listed in
+ *                  frontMatter  fields merged over the category's
+ *                  prepend      markdown placed before the content
+ *                  stripTitle   drop the leading "# Title" line
+ *                  transform    name of a function in TRANSFORMS
+ *
+ * `target`, `prepend` and string front matter values can use what the
+ * source glob's wildcards matched: `{1}` for the first, `{1|title}` for it
+ * in Title Case, so the rule mapping every extensions/olocus-<name>/README.md
+ * to extensions/{1}.md picks up new extensions without a config change.
+ *
+ * Before the rule applies its front matter and transform, the upstream
+ * markdown is made to work on the website: links to upstream files a rule
+ * maps (`../extensions/olocus-trust/README.md`, `docs/API.md`) point at
+ * their docs, images are copied to docs-setup/static/protocol, other
+ * repository paths link to the file on Codeberg at the synced commit and
+ * GitHub alerts (`> [!NOTE]`) become Docusaurus admonitions.
+ *
+ * The generated docs' ids are written by category to
+ * docs-setup/sidebars.synced.json, which sidebars.js lists after the docs it
+ * names itself.
+ *
+ * By default the docs come from the default branch of PROTOCOL_REPO.
+ * `--repo` (a URL or a local repository) and `--ref` (a branch, tag or
+ * commit) pick another; `--source` uses a checkout as it is, uncommitted
+ * changes included, without fetching anything. The commit the docs were
+ * built from is recorded in each generated doc's front matter
+ * (`upstream_commit`, next to `upstream_path`) and in
+ * docs-setup/sync-manifest.json with the list of files. `--dry-run` prints a
+ * unified diff of every file the sync would change and writes nothing.
+ *
+ * The sync only overwrites docs it owns. The manifest records the hash of
+ * every doc it writes; a target that isn't in it, or has changed since, was
+ * written or edited by hand and is kept (and reported) unless `--force` is
+ * given. Docs the manifest lists that the rules no longer generate, because
+ * their upstream file is gone, are deleted on the same terms, and so are
+ * images no doc uses any more. The sync fails, writing nothing, when a
+ * generated or kept doc would be missing from sidebars.js or sidebars.js
+ * lists a doc that doesn't exist.
+ *
+ * Protocol releases get their own docs version: `--ref <tag> --cut-version`
+ * syncs the tag, snapshots the result with Docusaurus (versioned_docs/,
+ * versioned_sidebars/ and versions.json in docs-setup) and leaves docs/
+ * as it was, the unreleased "next" docs synced from main.
+ *
+ *   node scripts/sync-protocol-docs.js
+ *   node scripts/sync-protocol-docs.js --ref v1.2.0 --dry-run
+ *   node scripts/sync-protocol-docs.js --source ../protocol
+ *   node scripts/sync-protocol-docs.js --ref v1.2.0 --cut-version
+ *   node scripts/sync-protocol-docs.js --force   # overwrite hand-edited docs
  */
 
 const fs = require('fs');
 const path = require('path');
-const { execSync } = require('child_process');
+const os = require('os');
+const vm = require('vm');
+const crypto = require('crypto');
+const { execFileSync, spawnSync } = require('child_process');
+const { matchesGlob, matchGlob } = require('./lib/glob');
+const markdown = require('./lib/markdown');
+const { DOCS_BASE_URL, findMarkdownFiles, getDocId } = require('./lib/docs');
 
 const TEMP_DIR = '/tmp/olocus-protocol-sync';
+const ROOT_DIR = path.join(__dirname, '..');
+const DOCS_SETUP_DIR = path.join(__dirname, '../docs-setup');
 const DOCS_DIR = path.join(__dirname, '../docs-setup/docs');
+const VERSIONS_FILE = path.join(__dirname, '../docs-setup/versions.json');
+const CONFIG_FILE = path.join(__dirname, '../docs-setup/sync-protocol-docs.json');
+const SIDEBARS_FILE = path.join(__dirname, '../docs-setup/sidebars.js');
+const SIDEBAR_FILE = path.join(__dirname, '../docs-setup/sidebars.synced.json');
+const MANIFEST_FILE = path.join(__dirname, '../docs-setup/sync-manifest.json');
+// Upstream images the docs use, served from the docs' static files
+const ASSETS_DIR = path.join(__dirname, '../docs-setup/static/protocol');
+const ASSETS_URL = '/protocol';
 const PROTOCOL_REPO = 'https://codeberg.org/olocus/protocol.git';
 
-// Mapping of source files to documentation structure
-const FILE_MAPPINGS = {
-  // Introduction
-  'README.md': {
-    target: 'intro.md',
-    transform: transformReadme
-  },
-  
-  // Core documentation
-  'docs/PROTOCOL-SPECIFICATION.md': {
-    target: 'core/overview.md',
-    transform: transformProtocolSpec
-  },
-  'docs/API.md': {
-    target: 'api/core.md',
-    transform: transformAPI
-  },
-  'docs/IMPLEMENTATION-GUIDE.md': {
-    target: 'implementation/rust-guide.md',
-    transform: transformImplementation
-  },
-  'docs/DESIGN-RATIONALE.md': {
-    target: 'concepts/philosophy.md',
-    transform: transformDesignRationale
-  },
-  
-  // Extension documentation
-  'extensions/olocus-location/README.md': {
-    target: 'extensions/location.md',
-    transform: transformExtensionDoc
-  },
-  'extensions/olocus-trust/README.md': {
-    target: 'extensions/trust.md',
-    transform: transformExtensionDoc
-  },
-  'extensions/olocus-ml/README.md': {
-    target: 'extensions/ml.md',
-    transform: transformExtensionDoc
-  },
-  // Add more extensions...
+// Transforms a rule can name, applied to the content after `stripTitle`
+const TRANSFORMS = {
+  apiDefinitions: transformAPI
+};
+
+const TEMPLATE_FILTERS = {
+  title: value => value
+    .split(/[-_\s]+/)
+    .filter(Boolean)
+    .map(word => word.charAt(0).toUpperCase() + word.slice(1))
+    .join(' ')
 };
 
 function ensureDir(dirPath) {
@@ -63,57 +115,152 @@ function ensureDir(dirPath) {
   }
 }
 
-function transformReadme(content) {
-  // Add Docusaurus front matter
-  const frontMatter = `---
-id: intro
-title: Introduction
-sidebar_position: 1
----
+function loadSyncConfig(configFile = CONFIG_FILE) {
+  const config = JSON.parse(fs.readFileSync(configFile, 'utf8'));
+  const categories = config.categories || {};
 
-`;
-  
-  // Remove the main title (we'll use Docusaurus title)
-  content = content.replace(/^# .*\n/, '');
-  
-  // Add description box
-  const description = `:::info Protocol Overview
-**Distributed trust infrastructure where humans, AI agents and machines collaborate securely.**
+  (config.rules || []).forEach((rule, index) => {
+    const label = `rules[${index}] (${rule.source})`;
+    if (!rule.source || !rule.target) {
+      throw new Error(`${configFile}: ${label} needs a source and a target`);
+    }
+    if (!categories[rule.category]) {
+      throw new Error(`${configFile}: ${label} has unknown category "${rule.category}"`);
+    }
+    if (rule.transform && !TRANSFORMS[rule.transform]) {
+      throw new Error(`${configFile}: ${label} has unknown transform "${rule.transform}"`);
+    }
+  });
+
+  return {
+    discover: config.discover || ['**/*.md'],
+    ignore: config.ignore || [],
+    categories,
+    rules: config.rules || []
+  };
+}
 
-Zero External Dependencies • Pure Rust • Minimal Core (~500 lines) • Extensible
-:::
+// Fills `{1}` and `{1|filter}` in `template` from the source glob's captures
+function fillTemplate(template, captures) {
+  if (typeof template !== 'string') return template;
+  return template.replace(/\{(\d+)(?:\|(\w+))?\}/g, (match, index, filter) => {
+    const value = captures[Number(index)];
+    if (value === undefined) {
+      throw new Error(`"${template}": the source glob has no capture ${index}`);
+    }
+    if (filter && !TEMPLATE_FILTERS[filter]) {
+      throw new Error(`"${template}": unknown filter "${filter}"`);
+    }
+    return filter ? TEMPLATE_FILTERS[filter](value) : value;
+  });
+}
 
-`;
-  
-  return frontMatter + description + content;
+function formatFrontMatter(data) {
+  const lines = Object.entries(data).map(([key, value]) => {
+    const text = String(value);
+    const quoted = typeof value === 'string' && (/^[\s'"]|\s$|: |#|^[-?[\]{}!*&|>%@`]/.test(text) || text === '');
+    return `${key}: ${quoted ? JSON.stringify(text) : text}`;
+  });
+  return `---\n${lines.join('\n')}\n---\n\n`;
 }
 
-function transformProtocolSpec(content) {
-  const frontMatter = `---
-id: overview
-title: Protocol Specification
-sidebar_label: Overview
----
+// Every file under `dir`, relative to it with forward slashes
+function listFiles(dir, relative = '') {
+  return fs.readdirSync(path.join(dir, relative), { withFileTypes: true })
+    .sort((a, b) => a.name.localeCompare(b.name))
+    .flatMap(entry => {
+      const file = path.posix.join(relative, entry.name);
+      if (entry.isDirectory()) return entry.name === '.git' ? [] : listFiles(dir, file);
+      return [file];
+    });
+}
 
-`;
-  
-  // Convert sections to separate pages if needed
-  content = content.replace(/^# .*\n/, '');
-  
-  return frontMatter + content;
+/**
+ * Which upstream file in `sourceDir` becomes which doc: `entries` with the
+ * rule that claimed each file, `unclaimed` discovered files no rule claims
+ * and `unusedRules` rules that matched nothing.
+ */
+function planSync(sourceDir, config) {
+  const files = listFiles(sourceDir);
+  const entries = [];
+  const claimed = new Set();
+  const targets = new Map();
+
+  files.forEach(file => {
+    for (const rule of config.rules) {
+      const captures = matchGlob(file, rule.source);
+      if (!captures) continue;
+
+      const target = fillTemplate(rule.target, captures);
+      if (targets.has(target)) {
+        throw new Error(`${file} and ${targets.get(target)} both map to ${target}`);
+      }
+      targets.set(target, file);
+      claimed.add(file);
+      entries.push({ source: file, target, rule, captures });
+      break;
+    }
+  });
+
+  return {
+    entries,
+    unclaimed: files.filter(file => !claimed.has(file) &&
+      matchesGlob(file, config.discover) && !matchesGlob(file, config.ignore)),
+    unusedRules: config.rules.filter(rule => !entries.some(entry => entry.rule === rule))
+  };
 }
 
-function transformAPI(content) {
-  const frontMatter = `---
-id: core
-title: Core API Reference
-sidebar_label: Core API
----
+// Front matter of a planned doc: its rule's fields over its category's
+function getFrontMatter(entry, config) {
+  const category = config.categories[entry.rule.category];
+  return Object.fromEntries(
+    Object.entries({ ...category.frontMatter, ...entry.rule.frontMatter })
+      .map(([key, value]) => [key, fillTemplate(value, entry.captures)])
+  );
+}
 
-`;
-  
+/**
+ * The doc for one planned entry: front matter (plus the `origin` fields),
+ * the rule's `prepend` and the transformed upstream content.
+ */
+function renderDoc(content, entry, config, origin = {}) {
+  const { rule, captures } = entry;
+  const category = config.categories[rule.category];
+  const fill = value => fillTemplate(value, captures);
+
+  const frontMatter = { ...getFrontMatter(entry, config), ...origin };
+  const prepend = fill(rule.prepend !== undefined ? rule.prepend : category.prepend);
+  const stripTitle = rule.stripTitle !== undefined ? rule.stripTitle : category.stripTitle;
+
+  let body = stripTitle ? content.replace(/^# .*\n/, '') : content;
+  if (rule.transform) {
+    body = TRANSFORMS[rule.transform](body);
+  }
+
+  return formatFrontMatter(frontMatter) + (prepend ? `${prepend}\n\n` : '') + body;
+}
+
+// Doc ids of the synced docs by category, in the order they were planned
+function buildSyncedSidebar(entries, config) {
+  const sidebar = Object.fromEntries(Object.keys(config.categories).map(key => [key, []]));
+  entries.forEach(entry => {
+    sidebar[entry.rule.category].push(getDocId(entry.target, getFrontMatter(entry, config)));
+  });
+  return sidebar;
+}
+
+function reportUnclaimed(plan) {
+  plan.unusedRules.forEach(rule => console.warn(`⚠️  No upstream file matches ${rule.source}`));
+
+  if (plan.unclaimed.length === 0) return;
+  console.warn(`📭 ${plan.unclaimed.length} upstream file(s) no rule in ${path.relative(process.cwd(), CONFIG_FILE)} claims:`);
+  plan.unclaimed.forEach(file => console.warn(`   ${file}`));
+  console.warn('   Add a rule to publish them, or an ignore pattern to silence this.');
+}
+
+function transformAPI(content) {
   // Add interactive API elements
-  content = content.replace(
+  return content.replace(
     /```rust\n(pub .*?)\n```/gs,
     (match, code) => {
       return `\`\`\`rust title="API Definition"
@@ -121,266 +268,487 @@ ${code}
 \`\`\``;
     }
   );
-  
-  return frontMatter + content;
 }
 
-function transformImplementation(content) {
-  const frontMatter = `---
-id: rust-guide
-title: Rust Implementation Guide
----
-
-`;
-  
-  return frontMatter + content;
+function git(args, options = {}) {
+  return execFileSync('git', args, { encoding: 'utf8', stdio: ['ignore', 'pipe', 'inherit'], ...options }).trim();
 }
 
-function transformDesignRationale(content) {
-  const frontMatter = `---
-id: philosophy
-title: Design Philosophy
-sidebar_position: 1
----
-
-`;
-  
-  return frontMatter + content;
-}
-
-function transformExtensionDoc(content, extensionName) {
-  const frontMatter = `---
-id: ${extensionName}
-title: ${extensionName.charAt(0).toUpperCase() + extensionName.slice(1)} Extension
----
-
-`;
-  
-  // Add extension badge
-  const badge = `:::tip Extension Type
-**Stable** ✅ - Production Ready
-:::
+function parseArgs(argv) {
+  const options = { source: null, ref: null, repo: PROTOCOL_REPO, dryRun: false, cutVersion: false, force: false };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--dry-run') {
+      options.dryRun = true;
+    } else if (arg === '--cut-version') {
+      options.cutVersion = true;
+    } else if (arg === '--force') {
+      options.force = true;
+    } else if (arg === '--source' || arg === '--ref' || arg === '--repo') {
+      if (!argv[i + 1] || argv[i + 1].startsWith('--')) {
+        throw new Error(`${arg} needs a value`);
+      }
+      options[arg.slice(2)] = argv[++i];
+    } else {
+      throw new Error(`Unknown option ${arg}`);
+    }
+  }
 
-`;
-  
-  return frontMatter + badge + content;
+  if (options.source && (options.ref || options.repo !== PROTOCOL_REPO)) {
+    throw new Error('--source reads a checkout as it is; to sync a ref of a local repository use --repo <dir> --ref <ref>');
+  }
+  if (options.cutVersion && (!options.ref || options.dryRun)) {
+    throw new Error('--cut-version needs the --ref of a protocol release and can\'t be a --dry-run');
+  }
+  return options;
 }
 
-async function syncDocs() {
-  console.log('🔄 Starting documentation sync...');
-  
-  try {
-    // Clean temp directory
-    if (fs.existsSync(TEMP_DIR)) {
-      fs.rmSync(TEMP_DIR, { recursive: true });
-    }
-    
-    // Clone the protocol repository
-    console.log('📥 Cloning protocol repository...');
-    execSync(`git clone --depth=1 ${PROTOCOL_REPO} ${TEMP_DIR}`, { stdio: 'inherit' });
-    
-    // Ensure docs directory exists
-    ensureDir(DOCS_DIR);
-    
-    // Process each file mapping
-    for (const [source, config] of Object.entries(FILE_MAPPINGS)) {
-      const sourcePath = path.join(TEMP_DIR, source);
-      const targetPath = path.join(DOCS_DIR, config.target);
-      
-      if (fs.existsSync(sourcePath)) {
-        console.log(`📄 Processing ${source} -> ${config.target}`);
-        
-        // Read source content
-        let content = fs.readFileSync(sourcePath, 'utf-8');
-        
-        // Transform content
-        if (config.transform) {
-          const extensionName = source.match(/extensions\/olocus-(.+?)\//)?.[1];
-          content = config.transform(content, extensionName);
-        }
-        
-        // Ensure target directory exists
-        ensureDir(path.dirname(targetPath));
-        
-        // Write transformed content
-        fs.writeFileSync(targetPath, content);
-      } else {
-        console.warn(`⚠️  Source file not found: ${source}`);
-      }
+/**
+ * The upstream tree to sync from: the `--source` checkout as it is, or
+ * `--ref` (default: the default branch) of `--repo` fetched into TEMP_DIR.
+ * `commit` is the SHA the docs are built from; `dirty` is set when a
+ * `--source` checkout has uncommitted changes.
+ */
+function fetchSource(options) {
+  if (options.source) {
+    const dir = path.resolve(options.source);
+    if (!fs.existsSync(dir)) {
+      throw new Error(`--source ${options.source} does not exist`);
     }
-    
-    // Create additional documentation pages
-    createGettingStartedPages();
-    createConceptPages();
-    createArchitecturePages();
-    
-    console.log('✅ Documentation sync completed!');
-    
-  } catch (error) {
-    console.error('❌ Error syncing documentation:', error);
-    process.exit(1);
-  } finally {
-    // Clean up temp directory
-    if (fs.existsSync(TEMP_DIR)) {
-      fs.rmSync(TEMP_DIR, { recursive: true });
+    console.log(`📂 Reading protocol docs from ${dir}`);
+    try {
+      return {
+        dir,
+        commit: git(['rev-parse', 'HEAD'], { cwd: dir, stdio: ['ignore', 'pipe', 'ignore'] }),
+        dirty: git(['status', '--porcelain'], { cwd: dir, stdio: ['ignore', 'pipe', 'ignore'] }) !== ''
+      };
+    } catch (error) {
+      // Not a git checkout: nothing to pin the docs to
+      return { dir, commit: null, dirty: true };
     }
   }
-}
-
-function createGettingStartedPages() {
-  const quickstart = `---
-id: quickstart
-title: Quick Start
-sidebar_position: 1
----
 
-# Quick Start Guide
-
-Get up and running with the Olocus Protocol in 5 minutes.
-
-## Prerequisites
+  if (fs.existsSync(TEMP_DIR)) {
+    fs.rmSync(TEMP_DIR, { recursive: true });
+  }
+  ensureDir(TEMP_DIR);
 
-- Rust 1.75 or later
-- Git
+  const ref = options.ref || 'HEAD';
+  console.log(`📥 Fetching ${ref} of ${options.repo}...`);
+  git(['init', '--quiet'], { cwd: TEMP_DIR });
+  try {
+    git(['fetch', '--quiet', '--depth=1', options.repo, ref], { cwd: TEMP_DIR });
+  } catch (error) {
+    // Servers that don't serve commits by SHA: fetch everything and look it up
+    git(['fetch', '--quiet', '--tags', options.repo, '+refs/heads/*:refs/remotes/origin/*'], { cwd: TEMP_DIR });
+    git(['update-ref', 'FETCH_HEAD', git(['rev-parse', '--verify', `${ref}^{commit}`], { cwd: TEMP_DIR })], { cwd: TEMP_DIR });
+  }
+  git(['checkout', '--quiet', '--detach', 'FETCH_HEAD'], { cwd: TEMP_DIR });
 
-## Installation
+  return { dir: TEMP_DIR, commit: git(['rev-parse', 'HEAD'], { cwd: TEMP_DIR }), dirty: false };
+}
 
-\`\`\`bash
-# Clone the repository
-git clone https://codeberg.org/olocus/protocol.git
-cd protocol
+function hashContent(content) {
+  return crypto.createHash('sha256').update(content).digest('hex');
+}
 
-# Build the project (pure Rust, no external dependencies!)
-cargo build --release
+function readManifest() {
+  return fs.existsSync(MANIFEST_FILE)
+    ? JSON.parse(fs.readFileSync(MANIFEST_FILE, 'utf8'))
+    : { files: [] };
+}
 
-# Run tests
-cargo test
+// Web address of the upstream repository, for links to files the docs don't cover
+function getRepoWebUrl(options) {
+  const repo = /^https?:\/\//.test(options.repo || '') ? options.repo : PROTOCOL_REPO;
+  return repo.replace(/\.git$/, '').replace(/\/$/, '');
+}
 
-# Try the demo
-cargo run --example protocol_demo
-\`\`\`
+/**
+ * The upstream markdown of `entry` made to work at its target: links to
+ * files a rule maps point at their docs, images are copied into ASSETS_DIR
+ * (added to `context.assets`) and any other repository path links to the
+ * file on Codeberg at the synced commit. GitHub alerts become admonitions.
+ */
+function transformUpstreamMarkdown(content, entry, context) {
+  const rewrite = (url, { image, html }) => {
+    if (!url || /^([a-z][a-z\d+.-]*:|#|\/\/)/i.test(url)) return url;
+
+    const [, pathPart, suffix] = url.match(/^([^?#]*)(.*)$/);
+    let decoded;
+    try {
+      decoded = decodeURIComponent(pathPart);
+    } catch (error) {
+      return url;
+    }
+    // Root-relative links are relative to the repository root, as on Codeberg
+    const repoPath = path.posix.normalize(decoded.startsWith('/')
+      ? decoded.slice(1)
+      : path.posix.join(path.posix.dirname(entry.source), decoded)).replace(/\/$/, '');
+    if (repoPath.startsWith('..')) return url;
+
+    const target = context.targets.get(repoPath) || context.targets.get(path.posix.join(repoPath, 'README.md'));
+    if (target) {
+      const relative = path.posix.relative(path.posix.dirname(entry.target), target);
+      return `${relative.startsWith('.') ? relative : `./${relative}`}${suffix}`;
+    }
 
-## Your First Block
+    const file = path.join(context.dir, repoPath);
+    if (image && fs.existsSync(file) && fs.statSync(file).isFile()) {
+      context.assets.add(repoPath);
+      // Docusaurus resolves Markdown images against its static files; HTML needs the full path
+      return `${html ? DOCS_BASE_URL : ''}${ASSETS_URL}/${encodeURI(repoPath)}${suffix}`;
+    }
 
-\`\`\`rust
-use olocus_core::*;
+    return `${context.webUrl}/src/${context.commit ? `commit/${context.commit}` : 'branch/main'}/${encodeURI(repoPath)}${suffix}`;
+  };
 
-fn main() {
-    // Generate a key pair
-    let key = generate_key();
-    
-    // Create a genesis block
-    let genesis = Block::genesis(
-        EmptyPayload,
-        &key,
-        current_timestamp()
-    );
-    
-    println!("Created block: {:?}", genesis);
+  const nodes = markdown.mapLinks(markdown.convertCallouts(markdown.parseBlocks(content)), rewrite);
+  return markdown.stringifyBlocks(nodes);
 }
-\`\`\`
-
-## Next Steps
 
-- [Create your first chain](./first-chain)
-- [Use location extension](./using-extensions)
-- [Explore the API](../api/core)
-`;
-
-  fs.writeFileSync(
-    path.join(DOCS_DIR, 'getting-started/quickstart.md'),
-    quickstart
-  );
+/**
+ * The docs the rules generate, by absolute path, each recording its
+ * upstream file and commit in its front matter, and the upstream images
+ * they use.
+ */
+function renderDocs(upstream, plan, config, options) {
+  const context = {
+    dir: upstream.dir,
+    commit: upstream.commit,
+    webUrl: getRepoWebUrl(options),
+    targets: new Map(plan.entries.map(entry => [entry.source, entry.target])),
+    assets: new Set()
+  };
+
+  const docs = new Map(plan.entries.map(entry => {
+    const content = transformUpstreamMarkdown(fs.readFileSync(path.join(upstream.dir, entry.source), 'utf-8'), entry, context);
+    const origin = { upstream_path: entry.source, ...(upstream.commit && { upstream_commit: upstream.commit }) };
+    return [path.join(DOCS_DIR, entry.target), { entry, content: renderDoc(content, entry, config, origin) }];
+  }));
+
+  const assets = new Map([...context.assets].sort().map(asset => [asset, fs.readFileSync(path.join(upstream.dir, asset))]));
+  return { docs, assets };
 }
 
-function createConceptPages() {
-  const blocks = `---
-id: blocks
-title: Blocks
----
-
-# Understanding Blocks
+/**
+ * Planned docs that would overwrite a file the sync doesn't own: one that
+ * isn't in the manifest (written by hand) or no longer has the hash the
+ * manifest recorded when the sync wrote it (edited since). A file that
+ * already has the planned content isn't a conflict.
+ */
+function findConflicts(docs, manifest) {
+  const hashes = new Map(manifest.files.map(file => [path.join(DOCS_DIR, file.target), file.sha256]));
+  return [...docs].filter(([file, { content }]) => {
+    const current = readIfExists(file);
+    return current !== null && current !== content && hashes.get(file) !== hashContent(current);
+  }).map(([file]) => file);
+}
 
-Blocks are the fundamental unit of data in the Olocus Protocol.
+/**
+ * Files an earlier sync wrote that this one doesn't: docs in the manifest
+ * that no planned entry targets and images no doc uses any more. Docs
+ * edited by hand since the sync wrote them are `kept`, like conflicts.
+ */
+function findStaleFiles(plan, { assets }, manifest) {
+  const planned = new Set(plan.entries.map(entry => path.join(DOCS_DIR, entry.target)));
+  const stale = { removed: [], kept: [] };
+
+  manifest.files.forEach(({ target, sha256 }) => {
+    const file = path.join(DOCS_DIR, target);
+    if (planned.has(file) || !fs.existsSync(file)) return;
+    (hashContent(fs.readFileSync(file, 'utf8')) === sha256 ? stale.removed : stale.kept).push(file);
+  });
+  (manifest.assets || []).forEach(asset => {
+    const file = path.join(ASSETS_DIR, asset);
+    if (!assets.has(asset) && fs.existsSync(file)) stale.removed.push(file);
+  });
+  return stale;
+}
 
-## Block Structure
+/**
+ * Everything a sync writes, by absolute path: `docs`, the images they use,
+ * sidebars.synced.json listing the docs of the plan and the manifest, which
+ * records the hash of each doc so the next sync knows it still owns it.
+ * `removed` files map to null, meaning delete.
+ */
+function buildOutputs(upstream, plan, { docs, assets }, config, options, removed = []) {
+  const outputs = new Map([...docs].map(([file, doc]) => [file, doc.content]));
+  assets.forEach((content, asset) => outputs.set(path.join(ASSETS_DIR, asset), content));
+  removed.forEach(file => outputs.set(file, null));
+
+  // Kept hand-written docs stay listed where their rule puts them
+  outputs.set(SIDEBAR_FILE, JSON.stringify(buildSyncedSidebar(plan.entries, config), null, 2) + '\n');
+
+  const manifest = {
+    repo: options.source ? null : options.repo,
+    ref: options.ref,
+    commit: upstream.commit,
+    dirty: upstream.dirty,
+    files: [...docs].map(([file, { entry, content }]) => ({
+      source: entry.source,
+      target: entry.target,
+      sha256: hashContent(content)
+    })),
+    assets: [...assets.keys()]
+  };
+  outputs.set(MANIFEST_FILE, JSON.stringify(manifest, null, 2) + '\n');
+
+  return outputs;
+}
 
-Every block contains:
-- **Header**: Metadata including version, timestamp, and references
-- **Payload**: Your application data (any type implementing \`BlockPayload\`)
-- **Signature**: Ed25519 signature ensuring authenticity
+// Doc ids a sidebar lists, at any depth
+function collectSidebarIds(items, ids = []) {
+  items.forEach(item => {
+    if (typeof item === 'string') {
+      ids.push(item);
+    } else if (item.type === 'doc') {
+      ids.push(item.id);
+    } else if (item.type === 'category') {
+      if (item.link && item.link.type === 'doc') ids.push(item.link.id);
+      collectSidebarIds(item.items || [], ids);
+    }
+  });
+  return ids;
+}
 
-## Block Types
+/**
+ * Problems with sidebars.js as it will be after writing `outputs`: generated
+ * docs it doesn't list, `kept` docs the sync no longer generates that it
+ * doesn't list either and entries with no doc behind them. sidebars.js is
+ * evaluated with the outputs in place of the files they replace.
+ */
+function checkSidebar(outputs, generated, kept = []) {
+  const read = (file, ...args) => {
+    if (!outputs.has(file)) return fs.readFileSync(file, ...args);
+    if (outputs.get(file) === null) throw Object.assign(new Error(`ENOENT: ${file}`), { code: 'ENOENT' });
+    return outputs.get(file);
+  };
+  const exists = file => (outputs.has(file) ? outputs.get(file) !== null : fs.existsSync(file));
+  const overlayFs = { ...fs, existsSync: exists, readFileSync: read };
+  const sidebarsModule = { exports: {} };
+  vm.runInNewContext(fs.readFileSync(SIDEBARS_FILE, 'utf8'), {
+    module: sidebarsModule,
+    exports: sidebarsModule.exports,
+    require: id => (id === 'fs' ? overlayFs : require(id)),
+    __dirname: DOCS_SETUP_DIR,
+    __filename: SIDEBARS_FILE
+  }, { filename: SIDEBARS_FILE });
+
+  const getFileDocId = file => {
+    const relative = path.relative(DOCS_DIR, file).split(path.sep).join('/');
+    return getDocId(relative, markdown.parseFrontMatter(read(file, 'utf8')).data);
+  };
+  const docFiles = new Set([
+    ...(fs.existsSync(DOCS_DIR) ? findMarkdownFiles(DOCS_DIR) : []),
+    ...[...outputs.keys()].filter(file => file.startsWith(DOCS_DIR + path.sep))
+  ].filter(exists));
+  const docIds = new Set([...docFiles].map(getFileDocId));
+  const listed = new Set(Object.values(sidebarsModule.exports).flatMap(items => collectSidebarIds(items)));
+  const sidebarsName = path.relative(ROOT_DIR, SIDEBARS_FILE);
+
+  return [
+    ...generated
+      .map(entry => getFileDocId(path.join(DOCS_DIR, entry.target)))
+      .filter(id => !listed.has(id))
+      .map(id => `${id} is generated but ${sidebarsName} doesn't list it (is its category's withSynced() call missing?)`),
+    ...kept
+      .map(getFileDocId)
+      .filter(id => !listed.has(id))
+      .map(id => `${id} is no longer generated and ${sidebarsName} doesn't list it; delete it or list it there`),
+    ...[...listed]
+      .filter(id => !docIds.has(id))
+      .map(id => `${sidebarsName} lists ${id}, which has no doc`)
+  ];
+}
 
-### Genesis Block
-The first block in a chain, with a zero previous hash.
+// Whether `file` already has `content` (a string, a Buffer for images or
+// null for a file to delete)
+function isUnchanged(file, content) {
+  if (content === null) return !fs.existsSync(file);
+  if (!fs.existsSync(file)) return false;
+  return Buffer.isBuffer(content)
+    ? fs.readFileSync(file).equals(content)
+    : fs.readFileSync(file, 'utf8') === content;
+}
 
-### Regular Block
-Links to a previous block, forming the chain.
+function readIfExists(file) {
+  return fs.existsSync(file) ? fs.readFileSync(file, 'utf8') : null;
+}
 
-## Code Example
+/**
+ * Unified diff of every output that differs from the file on disk, from
+ * `git diff --no-index` on copies of both versions.
+ */
+function diffOutputs(outputs) {
+  const changed = [...outputs].filter(([file, content]) => !isUnchanged(file, content));
+  if (changed.length === 0) return { changed, diff: '' };
 
-\`\`\`rust
-pub struct Block<P: BlockPayload> {
-    pub header: BlockHeader,
-    pub payload: P,
-    pub signature: [u8; 64],
+  // The versions go in a/ and b/ so --no-prefix yields the usual a/ b/ paths
+  const diffDir = fs.mkdtempSync(path.join(os.tmpdir(), 'olocus-docs-diff-'));
+  try {
+    ensureDir(path.join(diffDir, 'a'));
+    changed.forEach(([file, content]) => {
+      const relative = path.relative(ROOT_DIR, file);
+      if (fs.existsSync(file)) {
+        ensureDir(path.dirname(path.join(diffDir, 'a', relative)));
+        fs.copyFileSync(file, path.join(diffDir, 'a', relative));
+      }
+      ensureDir(path.dirname(path.join(diffDir, 'b', relative)));
+      if (content !== null) fs.writeFileSync(path.join(diffDir, 'b', relative), content);
+    });
+
+    // Exits with 1 when there are differences, which is the point
+    const result = spawnSync('git', ['diff', '--no-index', '--no-color', '--no-prefix', '--', 'a', 'b'], {
+      cwd: diffDir,
+      encoding: 'utf8',
+      maxBuffer: 64 * 1024 * 1024
+    });
+    if (result.error || result.status > 1) {
+      throw result.error || new Error(result.stderr);
+    }
+    // New files have no a/ side and deleted ones no b/ side, which git then
+    // names after the other one
+    const diff = result.stdout
+      .replace(/^diff --git b\/(.*) b\//gm, 'diff --git a/$1 b/')
+      .replace(/^diff --git a\/(.*) a\//gm, 'diff --git a/$1 b/');
+    return { changed, diff };
+  } finally {
+    fs.rmSync(diffDir, { recursive: true, force: true });
+  }
 }
-\`\`\`
-`;
 
-  fs.writeFileSync(
-    path.join(DOCS_DIR, 'concepts/blocks.md'),
-    blocks
-  );
+function readVersions() {
+  return fs.existsSync(VERSIONS_FILE) ? JSON.parse(fs.readFileSync(VERSIONS_FILE, 'utf8')) : [];
 }
 
-function createArchitecturePages() {
-  const overview = `---
-id: overview
-title: Architecture Overview
----
-
-# System Architecture
+/**
+ * Snapshots the docs as they are at a protocol release: writes `outputs`
+ * (synced from the release), has Docusaurus copy docs/ and the sidebar into
+ * versioned_docs/version-<version> and versioned_sidebars and add the
+ * version to versions.json, then puts back what `outputs` replaced, so
+ * docs/ stays the unreleased docs from main.
+ */
+function cutVersion(outputs, version) {
+  if (readVersions().includes(version)) {
+    throw new Error(`Version ${version} already exists in ${path.relative(ROOT_DIR, VERSIONS_FILE)}`);
+  }
 
-The Olocus Protocol follows a modular, extensible architecture inspired by successful protocols like HTTP and SMTP.
+  const previous = new Map([...outputs.keys()].map(file => [file, fs.existsSync(file) ? fs.readFileSync(file) : null]));
+  try {
+    writeOutputs(outputs);
+    execFileSync('npm', ['run', '--silent', 'docusaurus', '--', 'docs:version', version], {
+      cwd: DOCS_SETUP_DIR,
+      stdio: 'inherit'
+    });
+  } finally {
+    previous.forEach((content, file) => {
+      if (content === null) {
+        fs.rmSync(file, { force: true });
+      } else {
+        fs.writeFileSync(file, content);
+      }
+    });
+  }
+}
 
-## Core Principles
+// Writes `outputs`, deleting the files that map to null
+function writeOutputs(outputs) {
+  outputs.forEach((content, file) => {
+    if (content === null) {
+      fs.rmSync(file, { force: true });
+      return;
+    }
+    ensureDir(path.dirname(file));
+    fs.writeFileSync(file, content);
+  });
+}
 
-1. **Minimal Core**: ~500 lines of essential functionality
-2. **Extension-Based**: All advanced features via extensions
-3. **Type-Agnostic**: Generic over any payload type
-4. **Future-Proof**: Enum/trait hybrid for extensibility
+async function syncDocs(options = {}) {
+  options = { source: null, ref: null, repo: PROTOCOL_REPO, dryRun: false, cutVersion: false, force: false, ...options };
+  console.log('🔄 Starting documentation sync...');
+  let upstream = null;
+  
+  try {
+    const config = loadSyncConfig();
+    upstream = fetchSource(options);
+    console.log(`📌 Protocol commit: ${upstream.commit || 'unknown (not a git checkout)'}${upstream.dirty ? ' with uncommitted changes' : ''}`);
+
+    const plan = planSync(upstream.dir, config);
+    plan.entries.forEach(entry => console.log(`📄 Processing ${entry.source} -> ${entry.target}`));
+    reportUnclaimed(plan);
+
+    const rendered = renderDocs(upstream, plan, config, options);
+    const { docs } = rendered;
+    const manifest = readManifest();
+    const conflicts = findConflicts(docs, manifest);
+    if (conflicts.length > 0) {
+      console.warn(`✋ ${conflicts.length} doc(s) written or edited by hand${options.force ? ', overwriting them (--force)' : ' are kept; --force overwrites them'}:`);
+      conflicts.forEach(file => console.warn(`   ${path.relative(ROOT_DIR, file)}`));
+      if (!options.force) conflicts.forEach(file => docs.delete(file));
+    }
 
-## Components
+    const stale = findStaleFiles(plan, rendered, manifest);
+    stale.removed.forEach(file => console.log(`🗑️  Removing ${path.relative(ROOT_DIR, file)}, no longer generated`));
+    if (stale.kept.length > 0) {
+      console.warn(`✋ ${stale.kept.length} doc(s) no longer generated but edited by hand${options.force ? ', deleting them (--force)' : ' are kept; --force deletes them'}:`);
+      stale.kept.forEach(file => console.warn(`   ${path.relative(ROOT_DIR, file)}`));
+    }
+    const removed = options.force ? [...stale.removed, ...stale.kept] : stale.removed;
+
+    const outputs = buildOutputs(upstream, plan, rendered, config, options, removed);
+    const problems = checkSidebar(outputs, [...docs.values()].map(doc => doc.entry), options.force ? [] : stale.kept);
+    if (problems.length > 0) {
+      problems.forEach(problem => console.error(`❌ ${problem}`));
+      process.exitCode = 1;
+      return;
+    }
 
-### Core Protocol
-- Block creation and verification
-- Cryptographic operations
-- Hash chain validation
-- Wire format encoding
+    if (options.cutVersion) {
+      cutVersion(outputs, options.ref);
+      console.log(`✅ Cut docs version ${options.ref}`);
+      return;
+    }
 
-### Extensions (23 modules)
-- **Location**: GPS, clustering, spoofing detection
-- **Trust**: Reputation, attestations, peer connections
-- **ML**: On-device inference, federated learning
-- **Privacy**: GDPR compliance, differential privacy
-- And 19 more...
+    if (options.dryRun) {
+      const { changed, diff } = diffOutputs(outputs);
+      if (diff) process.stdout.write(diff.endsWith('\n') ? diff : `${diff}\n`);
+      console.log(`🔍 Dry run: ${changed.length} file(s) would change, nothing written`);
+      changed.forEach(([file, content]) => {
+        const change = content === null ? 'deleted' : fs.existsSync(file) ? 'changed' : 'new';
+        console.log(`   ${change.padEnd(8)} ${path.relative(ROOT_DIR, file)}`);
+      });
+      return;
+    }
 
-## Design Philosophy
+    writeOutputs(outputs);
+    
+    console.log('✅ Documentation sync completed!');
+    
+  } catch (error) {
+    console.error('❌ Error syncing documentation:', error);
+    process.exit(1);
+  } finally {
+    // Clean up temp directory
+    if (upstream && upstream.dir === TEMP_DIR && fs.existsSync(TEMP_DIR)) {
+      fs.rmSync(TEMP_DIR, { recursive: true });
+    }
+  }
+}
 
-Following the Unix philosophy:
-- Do one thing well
-- Compose simple parts
-- Text (or binary) streams as universal interface
-`;
+function main() {
+  let options;
+  try {
+    options = parseArgs(process.argv.slice(2));
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+  }
+  syncDocs(options);
+}
 
-  ensureDir(path.join(DOCS_DIR, 'architecture'));
-  fs.writeFileSync(
-    path.join(DOCS_DIR, 'architecture/overview.md'),
-    overview
-  );
+if (require.main === module) {
+  main();
 }
 
-// Run the sync
-syncDocs();
\ No newline at end of file
+module.exports = { parseArgs, loadSyncConfig, planSync, transformUpstreamMarkdown, renderDoc, renderDocs, findConflicts, findStaleFiles, buildSyncedSidebar, buildOutputs, checkSidebar, diffOutputs, cutVersion, fillTemplate };
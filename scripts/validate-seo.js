@@ -3,10 +3,49 @@
 /**
  * SEO & AI Bot Optimization Validation Script
  * Ensures all HTML pages meet Olocus SEO standards
+ *
+ *   node scripts/build-site.js && node scripts/validate-seo.js [--format=text|json|junit|sarif] [dir]
+ *   node scripts/validate-seo.js --staged        # only pages built from staged files
+ *   node scripts/validate-seo.js --config=path   # instead of .seorc.json
+ *
+ * Checks the built site in dist/ unless another directory is given. Pages
+ * are parsed with scripts/lib/html.js and every finding carries the ID and
+ * severity of the rule that raised it (see createRules). Each page is also
+ * checked against its entry in the directory's sitemap.xml, and its JSON-LD
+ * and microdata against the properties each schema.org type requires (see
+ * scripts/lib/structured-data.js). The json, junit and sarif formats print a
+ * single report to stdout for CI; the exit code is 1 when any rule of
+ * severity "error" fails. SARIF results point at the repository file each
+ * page is built from, so code scanning annotates the source.
+ *
+ * .seorc.json in the repository root configures the run; every key is
+ * optional and falls back to DEFAULT_CONFIG:
+ *
+ *   include, ignore       globs (scripts/lib/glob.js) of pages to check,
+ *                         relative to the site directory
+ *   rules                 rule ID to "error", "warning" or "off"
+ *   ruleSets              named maps of rule ID to severity
+ *   overrides             [{ files: [globs], ruleSet: "name", rules: {...} }],
+ *                         applied in order to the pages they match
+ *   requiredMetaTags, requiredOGTags, requiredTwitterTags,
+ *   requiredSchemaTypes   the tags and schema.org types pages must have
+ *
+ * A page can also switch rules off for itself with a comment anywhere in it:
+ *
+ *   <!-- seo-disable heading-order sitemap-entry -->
  */
 
 const fs = require('fs');
 const path = require('path');
+const { execFileSync } = require('child_process');
+const html = require('./lib/html');
+const { matchesGlob } = require('./lib/glob');
+const { loadLocales } = require('./lib/i18n');
+const { listPages } = require('./lib/pages');
+const structuredData = require('./lib/structured-data');
+
+const SITE_URL = 'https://olocus.com';
+const FORMATS = ['text', 'json', 'junit', 'sarif'];
 
 // ANSI color codes for console output
 const colors = {
@@ -20,323 +59,805 @@ const colors = {
   bold: '\x1b[1m'
 };
 
-// Validation rules
-const requiredMetaTags = [
-  { name: 'description', type: 'meta', maxLength: 155 },
-  { name: 'keywords', type: 'meta' },
-  { name: 'author', type: 'meta' },
-  { name: 'robots', type: 'meta' },
-  { name: 'viewport', type: 'meta' }
-];
+const ROOT_DIR = path.join(__dirname, '..');
+const CONFIG_FILE = path.join(ROOT_DIR, '.seorc.json');
+const SEVERITIES = ['error', 'warning', 'off'];
 
-const requiredOGTags = [
-  'og:type',
-  'og:url',
-  'og:title',
-  'og:description',
-  'og:image',
-  'og:site_name'
+// Sources that feed every built page (see scripts/build-site.js)
+const SITE_WIDE_SOURCES = [
+  'templates/**',
+  'locales/**',
+  'scripts/build-sitemap.js',
+  'scripts/build-site.js',
+  'scripts/validate-seo.js',
+  'scripts/lib/**',
+  '.seorc.json'
 ];
 
-const requiredTwitterTags = [
-  'twitter:card',
-  'twitter:url',
-  'twitter:title',
-  'twitter:description',
-  'twitter:image'
-];
+// Validation rules, overridable from .seorc.json
+const DEFAULT_CONFIG = {
+  include: ['**/*.html'],
+  // The Docusaurus build has its own head tags and sitemap
+  ignore: ['docs/**', '_*.html'],
+  rules: {},
+  ruleSets: {},
+  overrides: [],
+  requiredMetaTags: [
+    { name: 'description', maxLength: 155 },
+    { name: 'keywords' },
+    { name: 'author' },
+    { name: 'robots' },
+    { name: 'viewport' }
+  ],
+  requiredOGTags: [
+    'og:type',
+    'og:url',
+    'og:title',
+    'og:description',
+    'og:image',
+    'og:site_name'
+  ],
+  requiredTwitterTags: [
+    'twitter:card',
+    'twitter:url',
+    'twitter:title',
+    'twitter:description',
+    'twitter:image'
+  ],
+  requiredSchemaTypes: ['Organization', 'WebSite', 'WebPage']
+};
 
 const requiredElements = [
-  { selector: 'html[lang]', message: 'Missing lang attribute on html tag' },
-  { selector: 'link[rel="canonical"]', message: 'Missing canonical URL' },
-  { selector: 'title', message: 'Missing title tag' },
-  { selector: 'main', message: 'Missing main element' },
-  { selector: 'h1', message: 'Missing H1 tag', maxCount: 1 },
-  { selector: 'script[type="application/ld+json"]', message: 'Missing structured data (JSON-LD)' }
+  { rule: 'html-lang', selector: 'html[lang]:not([lang=""])', message: 'Missing lang attribute on html tag' },
+  { rule: 'canonical', selector: 'link[rel~="canonical"][href]', message: 'Missing canonical URL' },
+  { rule: 'title', selector: 'title', message: 'Missing title tag', hasText: true },
+  { rule: 'main', selector: 'main', message: 'Missing main element' },
+  { rule: 'h1-present', selector: 'h1', message: 'Missing H1 tag' }
 ];
 
-const accessibilityChecks = [
-  { selector: '.skip-link', message: 'Missing skip links for accessibility' },
-  { selector: '[aria-label], [aria-labelledby]', message: 'Consider adding ARIA labels to sections' },
-  { selector: 'img:not([alt])', message: 'Images without alt text found', shouldNotExist: true }
-];
+/**
+ * Every rule the validator knows for `config`, by ID, with its default
+ * severity. Errors fail the page; warnings are reported but do not.
+ */
+function createRules(config = DEFAULT_CONFIG) {
+  const { requiredMetaTags, requiredSchemaTypes } = config;
+  return {
+    ...Object.fromEntries(requiredMetaTags.flatMap(tag => [
+      [`meta-${tag.name}`, { severity: 'error', description: `Page has a non-empty <meta name="${tag.name}">` }],
+      ...(tag.maxLength
+        ? [[`meta-${tag.name}-length`, { severity: 'warning', description: `Meta ${tag.name} is at most ${tag.maxLength} characters` }]]
+        : [])
+    ])),
+    'og-tags': { severity: 'error', description: 'Page has the required Open Graph tags' },
+    'twitter-tags': { severity: 'error', description: 'Page has the required Twitter Card tags' },
+    'html-lang': { severity: 'error', description: 'The html element has a lang attribute' },
+    'canonical': { severity: 'error', description: 'Page has a canonical link' },
+    'canonical-absolute': { severity: 'warning', description: `Canonical URL is absolute and on ${SITE_URL}/` },
+    'title': { severity: 'error', description: 'Page has a non-empty title' },
+    'main': { severity: 'error', description: 'Page has a main element' },
+    'h1-present': { severity: 'error', description: 'Page has an H1' },
+    'h1-single': { severity: 'warning', description: 'Page has only one H1' },
+    'heading-order': { severity: 'warning', description: 'Headings do not skip a level in document order' },
+    'jsonld-present': { severity: 'error', description: 'Page has JSON-LD structured data' },
+    'jsonld-valid': { severity: 'error', description: 'JSON-LD blocks parse as JSON' },
+    'jsonld-schema-types': { severity: 'warning', description: `JSON-LD describes ${requiredSchemaTypes.join(', ')} (or subtypes)` },
+    'jsonld-required-properties': { severity: 'error', description: 'JSON-LD nodes have the properties their schema.org type requires' },
+    'jsonld-references': { severity: 'error', description: 'JSON-LD @id references point to a node on the page' },
+    'microdata-required-properties': { severity: 'error', description: 'Microdata items have the properties their schema.org type requires' },
+    'skip-link': { severity: 'warning', description: 'Page has a skip link' },
+    'aria-labels': { severity: 'warning', description: 'Page labels landmarks with aria-label or aria-labelledby' },
+    'img-alt': { severity: 'error', description: 'Every image has an alt attribute' },
+    'sitemap-entry': { severity: 'error', description: 'Indexable pages are listed in sitemap.xml' },
+    'sitemap-noindex': { severity: 'error', description: 'noindex pages are not listed in sitemap.xml' },
+    'sitemap-canonical': { severity: 'error', description: 'sitemap.xml lists pages under their canonical URL' },
+    'sitemap-hreflang': { severity: 'warning', description: 'sitemap.xml alternates match the page\'s hreflang links' },
+    'sitemap-lastmod': { severity: 'warning', description: 'Sitemap entry has a valid lastmod date' }
+  };
+}
+
+const RULES = createRules();
+
+/**
+ * Read .seorc.json (or `file`) over DEFAULT_CONFIG. Rule IDs, severities and
+ * rule set names are checked up front so a typo fails the run instead of
+ * silently checking nothing.
+ */
+function loadConfig(file = CONFIG_FILE) {
+  const userConfig = fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')) : {};
+  const config = { ...DEFAULT_CONFIG, ...userConfig };
+  const rules = createRules(config);
+  const source = path.basename(file);
+
+  const checkSeverities = (severities, where) => {
+    Object.entries(severities || {}).forEach(([ruleId, severity]) => {
+      if (!rules[ruleId]) {
+        throw new Error(`${source}: unknown rule "${ruleId}" in ${where}`);
+      }
+      if (!SEVERITIES.includes(severity)) {
+        throw new Error(`${source}: severity of "${ruleId}" in ${where} must be one of ${SEVERITIES.join(', ')}`);
+      }
+    });
+  };
+
+  checkSeverities(config.rules, 'rules');
+  Object.entries(config.ruleSets).forEach(([name, severities]) => checkSeverities(severities, `ruleSets.${name}`));
+  config.overrides.forEach((override, index) => {
+    if (!override.files) {
+      throw new Error(`${source}: overrides[${index}] needs "files"`);
+    }
+    if (override.ruleSet && !config.ruleSets[override.ruleSet]) {
+      throw new Error(`${source}: overrides[${index}] uses unknown rule set "${override.ruleSet}"`);
+    }
+    checkSeverities(override.rules, `overrides[${index}].rules`);
+  });
+
+  return config;
+}
+
+// Rule IDs named in <!-- seo-disable ... --> comments
+function getDisabledRules(document) {
+  const disabled = new Set();
+  const visit = node => {
+    (node.children || []).forEach(child => {
+      if (child.type === 'comment') {
+        const match = child.value.match(/^\s*seo-disable\s+([\s\S]*?)\s*$/);
+        if (match) match[1].split(/[\s,]+/).filter(Boolean).forEach(ruleId => disabled.add(ruleId));
+      } else if (child.type === 'element') {
+        visit(child);
+      }
+    });
+  };
+  visit(document);
+  return disabled;
+}
+
+/**
+ * Read a sitemap into a Map of loc to `{ loc, lastmod, alternates, file,
+ * line }`, where `alternates` maps hreflang to href. A sitemap index is
+ * followed into the sitemaps it lists that exist under `rootDir`, the site
+ * directory. Returns null without a sitemap.
+ */
+function loadSitemap(file, rootDir = path.dirname(file)) {
+  if (!fs.existsSync(file)) return null;
+
+  const document = html.parse(fs.readFileSync(file, 'utf8'));
+  const text = (parent, tagName) => {
+    const element = html.findFirst(parent, node => node.tagName === tagName);
+    return element ? html.textContent(element).trim() : null;
+  };
+
+  const entries = new Map();
+  const relativeFile = path.relative(rootDir, file).split(path.sep).join('/');
+
+  html.findAll(document, node => node.tagName === 'sitemap').forEach(sitemap => {
+    const loc = text(sitemap, 'loc');
+    if (!loc) return;
+    const child = loadSitemap(path.join(rootDir, new URL(loc, SITE_URL).pathname), rootDir);
+    if (child) child.forEach((entry, key) => entries.set(key, entry));
+  });
+
+  html.findAll(document, node => node.tagName === 'url').forEach(url => {
+    const loc = text(url, 'loc');
+    if (!loc) return;
+    const alternates = new Map(
+      html.findAll(url, node => node.tagName === 'xhtml:link' && node.attrs.rel === 'alternate')
+        .map(link => [link.attrs.hreflang, link.attrs.href])
+    );
+    entries.set(loc, { loc, lastmod: text(url, 'lastmod'), alternates, file: relativeFile, line: url.line });
+  });
+  return entries;
+}
+
+// "about.html" is served as /about, "de/index.html" as /de/
+function getPageUrl(relativeFile) {
+  const pagePath = relativeFile.split(path.sep).join('/')
+    .replace(/(^|\/)index\.html$/, '$1')
+    .replace(/\.html$/, '');
+  return new URL(`/${pagePath}`, SITE_URL).href;
+}
 
 class SEOValidator {
-  constructor() {
-    this.errors = [];
-    this.warnings = [];
-    this.passes = [];
+  constructor({ sitemap = null, log = true, config = DEFAULT_CONFIG } = {}) {
+    this.sitemap = sitemap;
+    this.log = log;
+    this.config = config;
+    this.rules = createRules(config);
+    this.severities = {};
+    this.issues = [];
     this.currentFile = '';
   }
 
-  validateFile(filePath) {
-    this.currentFile = path.basename(filePath);
-    this.errors = [];
-    this.warnings = [];
-    this.passes = [];
-
-    console.log(`\n${colors.cyan}Validating: ${colors.bold}${this.currentFile}${colors.reset}`);
-    
-    try {
-      const content = fs.readFileSync(filePath, 'utf8');
-      
-      // Run all validation checks
-      this.checkMetaTags(content);
-      this.checkOpenGraphTags(content);
-      this.checkTwitterTags(content);
-      this.checkRequiredElements(content);
-      this.checkAccessibility(content);
-      this.checkStructuredData(content);
-      this.checkHeadingHierarchy(content);
-      this.checkCanonicalURL(content, filePath);
-      
-      // Report results
+  /**
+   * Severity of every rule for the page: the rule's default, then the
+   * config's `rules`, then each matching override, then the page's own
+   * seo-disable comments.
+   */
+  getSeverities(document) {
+    const severities = Object.fromEntries(
+      Object.entries(this.rules).map(([ruleId, rule]) => [ruleId, rule.severity])
+    );
+    Object.assign(severities, this.config.rules);
+    this.config.overrides
+      .filter(override => matchesGlob(this.currentFile, override.files))
+      .forEach(override => {
+        Object.assign(severities, this.config.ruleSets[override.ruleSet], override.rules);
+      });
+
+    getDisabledRules(document).forEach(ruleId => {
+      if (!severities[ruleId]) {
+        console.warn(`${colors.yellow}⚠ ${this.currentFile}: seo-disable names unknown rule "${ruleId}"${colors.reset}`);
+        return;
+      }
+      severities[ruleId] = 'off';
+    });
+    return severities;
+  }
+
+  /**
+   * Validate one page. `relativeFile` is its path inside the site directory,
+   * which gives the URL it is served from. Returns `{ file, url, issues,
+   * disabled }`, where `disabled` lists the rules switched off for the page.
+   */
+  validateFile(filePath, relativeFile = path.basename(filePath)) {
+    this.currentFile = relativeFile.split(path.sep).join('/');
+    this.issues = [];
+
+    if (this.log) {
+      console.log(`\n${colors.cyan}Validating: ${colors.bold}${this.currentFile}${colors.reset}`);
+    }
+
+    const url = getPageUrl(relativeFile);
+    const document = html.parse(fs.readFileSync(filePath, 'utf8'));
+    this.severities = this.getSeverities(document);
+
+    // Run all validation checks
+    this.checkMetaTags(document);
+    this.checkOpenGraphTags(document);
+    this.checkTwitterTags(document);
+    this.checkRequiredElements(document);
+    this.checkAccessibility(document);
+    this.checkStructuredData(document);
+    this.checkHeadingHierarchy(document);
+    this.checkCanonicalURL(document);
+    this.checkSitemapEntry(document, url);
+
+    if (this.log) {
       this.reportResults();
-      
-    } catch (error) {
-      console.error(`${colors.red}Error reading file: ${error.message}${colors.reset}`);
-      return false;
     }
-    
-    return this.errors.length === 0;
+
+    const disabled = Object.keys(this.severities).filter(ruleId => this.severities[ruleId] === 'off');
+    return { file: this.currentFile, url, issues: this.issues, disabled };
   }
 
-  checkMetaTags(content) {
-    requiredMetaTags.forEach(tag => {
-      const regex = new RegExp(`<meta\\s+name="${tag.name}"\\s+content="([^"]+)"`, 'i');
-      const match = content.match(regex);
-      
-      if (!match) {
-        this.errors.push(`Missing required meta tag: ${tag.name}`);
-      } else {
-        if (tag.maxLength && match[1].length > tag.maxLength) {
-          this.warnings.push(`Meta ${tag.name} exceeds ${tag.maxLength} characters (${match[1].length})`);
-        }
-        this.passes.push(`✓ Meta tag: ${tag.name}`);
+  report(ruleId, message, node) {
+    const severity = this.severities[ruleId];
+    if (severity === 'off') return;
+    this.issues.push({
+      ruleId,
+      severity,
+      message,
+      line: node && node.line ? node.line : 1
+    });
+  }
+
+  getMeta(document, attribute, name) {
+    return html.querySelectorAll(document, `meta[${attribute}="${name}"]`)
+      .find(meta => (html.getAttribute(meta, 'content') || '').trim()) || null;
+  }
+
+  checkMetaTags(document) {
+    this.config.requiredMetaTags.forEach(tag => {
+      const meta = this.getMeta(document, 'name', tag.name);
+      if (!meta) {
+        this.report(`meta-${tag.name}`, `Missing required meta tag: ${tag.name}`);
+        return;
+      }
+      const content = html.getAttribute(meta, 'content').trim();
+      if (tag.maxLength && content.length > tag.maxLength) {
+        this.report(`meta-${tag.name}-length`, `Meta ${tag.name} exceeds ${tag.maxLength} characters (${content.length})`, meta);
       }
     });
   }
 
-  checkOpenGraphTags(content) {
-    requiredOGTags.forEach(tag => {
-      const regex = new RegExp(`<meta\\s+property="${tag}"\\s+content="([^"]+)"`, 'i');
-      if (!content.match(regex)) {
-        this.errors.push(`Missing Open Graph tag: ${tag}`);
-      } else {
-        this.passes.push(`✓ OG tag: ${tag}`);
+  checkOpenGraphTags(document) {
+    this.config.requiredOGTags.forEach(tag => {
+      if (!this.getMeta(document, 'property', tag)) {
+        this.report('og-tags', `Missing Open Graph tag: ${tag}`);
       }
     });
   }
 
-  checkTwitterTags(content) {
-    requiredTwitterTags.forEach(tag => {
-      const regex = new RegExp(`<meta\\s+name="${tag}"\\s+content="([^"]+)"`, 'i');
-      if (!content.match(regex)) {
-        this.errors.push(`Missing Twitter Card tag: ${tag}`);
-      } else {
-        this.passes.push(`✓ Twitter tag: ${tag}`);
+  checkTwitterTags(document) {
+    this.config.requiredTwitterTags.forEach(tag => {
+      if (!this.getMeta(document, 'name', tag)) {
+        this.report('twitter-tags', `Missing Twitter Card tag: ${tag}`);
       }
     });
   }
 
-  checkRequiredElements(content) {
+  checkRequiredElements(document) {
     requiredElements.forEach(element => {
-      const regex = new RegExp(`<${element.selector.replace(/\[.*?\]/, '.*?')}`, 'gi');
-      const matches = content.match(regex);
-      
-      if (!matches || matches.length === 0) {
-        this.errors.push(element.message);
-      } else {
-        if (element.maxCount && matches.length > element.maxCount) {
-          this.warnings.push(`Multiple ${element.selector} found (${matches.length}). Should have only ${element.maxCount}.`);
-        } else {
-          this.passes.push(`✓ ${element.selector} present`);
-        }
+      const matches = html.querySelectorAll(document, element.selector)
+        .filter(node => !element.hasText || html.textContent(node).trim());
+      if (matches.length === 0) {
+        this.report(element.rule, element.message);
       }
     });
+
+    const h1s = html.querySelectorAll(document, 'h1');
+    if (h1s.length > 1) {
+      this.report('h1-single', `Multiple H1 tags found (${h1s.length}). Should have only 1.`, h1s[1]);
+    }
   }
 
-  checkAccessibility(content) {
-    accessibilityChecks.forEach(check => {
-      if (check.shouldNotExist) {
-        const regex = new RegExp(`<img(?![^>]*\\salt=)`, 'gi');
-        const matches = content.match(regex);
-        if (matches && matches.length > 0) {
-          this.errors.push(`${check.message} (${matches.length} instances)`);
-        }
-      } else {
-        const regex = new RegExp(check.selector.replace(/[\[\]]/g, '\\$&'), 'gi');
-        if (!content.match(regex)) {
-          this.warnings.push(check.message);
-        }
-      }
+  checkAccessibility(document) {
+    if (!html.querySelector(document, '.skip-link')) {
+      this.report('skip-link', 'Missing skip links for accessibility');
+    }
+    if (!html.querySelector(document, '[aria-label], [aria-labelledby]')) {
+      this.report('aria-labels', 'Consider adding ARIA labels to sections');
+    }
+    html.querySelectorAll(document, 'img:not([alt])').forEach(img => {
+      this.report('img-alt', `Image without alt text: ${html.getAttribute(img, 'src') || '(no src)'}`, img);
     });
   }
 
-  checkStructuredData(content) {
-    const jsonLdRegex = /<script\s+type="application\/ld\+json"[^>]*>([\s\S]*?)<\/script>/gi;
-    const matches = content.match(jsonLdRegex);
-    
-    if (!matches) {
-      this.errors.push('No structured data (JSON-LD) found');
-      return;
+  checkStructuredData(document) {
+    const scripts = html.querySelectorAll(document, 'script[type="application/ld+json"]');
+
+    if (scripts.length === 0) {
+      this.report('jsonld-present', 'No structured data (JSON-LD) found');
     }
 
-    matches.forEach(match => {
+    const nodes = [];
+    const references = [];
+    scripts.forEach(script => {
+      let data;
       try {
-        const jsonContent = match.replace(/<\/?script[^>]*>/gi, '').trim();
-        const data = JSON.parse(jsonContent);
-        
-        // Check for required schema types
-        const hasOrganization = this.checkSchemaType(data, 'Organization');
-        const hasWebSite = this.checkSchemaType(data, 'WebSite');
-        const hasWebPage = this.checkSchemaType(data, 'WebPage');
-        
-        if (!hasOrganization) this.warnings.push('Missing Organization schema');
-        if (!hasWebSite) this.warnings.push('Missing WebSite schema');
-        if (!hasWebPage) this.warnings.push('Missing WebPage schema');
-        
-        this.passes.push('✓ Valid JSON-LD structured data');
+        data = JSON.parse(html.textContent(script));
       } catch (e) {
-        this.errors.push('Invalid JSON-LD structured data: ' + e.message);
+        this.report('jsonld-valid', 'Invalid JSON-LD structured data: ' + e.message, script);
+        return;
       }
+      structuredData.collectNodes(data).forEach(node => {
+        nodes.push(node);
+        this.checkRequiredProperties('jsonld-required-properties', structuredData.getTypes(node), structuredData.findMissingProperties(node), script);
+      });
+      structuredData.collectReferences(data).forEach(id => references.push({ id, script }));
     });
-  }
 
-  checkSchemaType(data, type) {
-    if (data['@type'] === type) return true;
-    if (data['@graph']) {
-      return data['@graph'].some(item => item['@type'] === type);
+    const ids = new Set(nodes.map(node => node['@id']).filter(Boolean));
+    references
+      .filter(reference => !ids.has(reference.id))
+      .forEach(reference => this.report('jsonld-references', `@id reference to ${reference.id} matches no node on the page`, reference.script));
+
+    if (scripts.length > 0) {
+      const types = nodes.flatMap(node => structuredData.getTypes(node));
+      this.config.requiredSchemaTypes
+        .filter(required => !types.some(type => structuredData.isA(type, required)))
+        .forEach(type => this.report('jsonld-schema-types', `Missing ${type} schema`, scripts[0]));
     }
-    return false;
+
+    this.checkMicrodata(document);
   }
 
-  checkHeadingHierarchy(content) {
-    const h1Matches = content.match(/<h1[^>]*>/gi);
-    if (!h1Matches) {
-      this.errors.push('No H1 tag found');
-    } else if (h1Matches.length > 1) {
-      this.warnings.push(`Multiple H1 tags found (${h1Matches.length}). Should have only 1.`);
-    }
+  // Items marked up with itemscope/itemtype, checked like JSON-LD nodes
+  checkMicrodata(document) {
+    html.querySelectorAll(document, '[itemscope][itemtype]').forEach(item => {
+      const properties = {};
+      const collect = element => {
+        element.children.filter(child => child.type === 'element').forEach(child => {
+          const itemprop = html.getAttribute(child, 'itemprop');
+          if (itemprop) itemprop.split(/\s+/).forEach(name => { properties[name] = true; });
+          // A nested item's properties belong to it
+          if (html.getAttribute(child, 'itemscope') === undefined) collect(child);
+        });
+      };
+      collect(item);
 
-    // Check for skipped heading levels
-    const headings = [];
-    for (let i = 1; i <= 6; i++) {
-      const regex = new RegExp(`<h${i}[^>]*>`, 'gi');
-      if (content.match(regex)) {
-        headings.push(i);
-      }
+      const types = html.getAttribute(item, 'itemtype').split(/\s+/).filter(Boolean)
+        .map(type => type.replace(/^https?:\/\/schema\.org\//, ''));
+      const node = { '@type': types, ...properties };
+      this.checkRequiredProperties('microdata-required-properties', types, structuredData.findMissingProperties(node), item);
+    });
+  }
+
+  checkRequiredProperties(ruleId, types, missing, element) {
+    if (missing.length > 0) {
+      this.report(ruleId, `${types.join('/')} is missing required ${missing.join(', ')}`, element);
     }
+  }
 
-    for (let i = 1; i < headings.length; i++) {
-      if (headings[i] - headings[i-1] > 1) {
-        this.warnings.push(`Skipped heading level: H${headings[i-1]} to H${headings[i]}`);
+  // Each heading may go at most one level deeper than the heading before it
+  checkHeadingHierarchy(document) {
+    let previous = null;
+    html.querySelectorAll(document, 'h1, h2, h3, h4, h5, h6').forEach(heading => {
+      const level = Number(heading.tagName[1]);
+      if (previous && level - previous.level > 1) {
+        this.report(
+          'heading-order',
+          `Skipped heading level: H${previous.level} (line ${previous.line}) to H${level}`,
+          heading
+        );
       }
+      previous = { level, line: heading.line };
+    });
+  }
+
+  checkCanonicalURL(document) {
+    const canonical = html.querySelector(document, 'link[rel~="canonical"][href]');
+    if (canonical && !html.getAttribute(canonical, 'href').startsWith(`${SITE_URL}/`)) {
+      this.report('canonical-absolute', `Canonical URL should use absolute URL starting with ${SITE_URL}/`, canonical);
     }
   }
 
-  checkCanonicalURL(content, filePath) {
-    const canonicalRegex = /<link\s+rel="canonical"\s+href="([^"]+)"/i;
-    const match = content.match(canonicalRegex);
-    
-    if (match) {
-      const canonicalURL = match[1];
-      if (!canonicalURL.startsWith('https://olocus.com/')) {
-        this.warnings.push('Canonical URL should use absolute URL starting with https://olocus.com/');
+  isNoindex(document) {
+    const robots = this.getMeta(document, 'name', 'robots');
+    return Boolean(robots) && /\bnoindex\b/i.test(html.getAttribute(robots, 'content'));
+  }
+
+  checkSitemapEntry(document, url) {
+    const noindex = this.isNoindex(document);
+    const canonical = html.querySelector(document, 'link[rel~="canonical"][href]');
+    const canonicalUrl = canonical ? html.getAttribute(canonical, 'href') : url;
+
+    if (!this.sitemap) {
+      if (!noindex) this.report('sitemap-entry', 'No sitemap.xml found next to the pages');
+      return;
+    }
+
+    const entry = this.sitemap.get(url);
+
+    if (noindex) {
+      if (entry) this.report('sitemap-noindex', `Page is noindex but ${entry.file} lists ${url} (line ${entry.line})`);
+      return;
+    }
+
+    if (canonicalUrl !== url) {
+      if (entry) {
+        this.report('sitemap-canonical', `${entry.file} lists ${url}, but the page's canonical URL is ${canonicalUrl}`, canonical);
       }
-      this.passes.push('✓ Canonical URL present');
+      return;
+    }
+
+    if (!entry) {
+      this.report('sitemap-entry', `Indexable page ${url} is not listed in sitemap.xml`);
+      return;
+    }
+
+    if (!entry.lastmod) {
+      this.report('sitemap-lastmod', `Sitemap entry for ${url} has no lastmod (${entry.file} line ${entry.line})`);
+    } else if (!/^\d{4}-\d{2}-\d{2}(T[\d:.]+(Z|[+-]\d{2}:\d{2}))?$/.test(entry.lastmod) || Number.isNaN(Date.parse(entry.lastmod))) {
+      this.report('sitemap-lastmod', `Sitemap entry for ${url} has an invalid lastmod "${entry.lastmod}" (${entry.file} line ${entry.line})`);
     }
+
+    const pageAlternates = new Map(
+      html.querySelectorAll(document, 'link[rel~="alternate"][hreflang][href]')
+        .map(link => [html.getAttribute(link, 'hreflang'), html.getAttribute(link, 'href')])
+    );
+    const hreflangs = new Set([...pageAlternates.keys(), ...entry.alternates.keys()]);
+    hreflangs.forEach(hreflang => {
+      const onPage = pageAlternates.get(hreflang);
+      const inSitemap = entry.alternates.get(hreflang);
+      if (onPage === inSitemap) return;
+      this.report(
+        'sitemap-hreflang',
+        `hreflang="${hreflang}" is ${onPage || 'missing'} on the page but ${inSitemap || 'missing'} in ${entry.file} (line ${entry.line})`
+      );
+    });
   }
 
   reportResults() {
+    const errors = this.issues.filter(issue => issue.severity === 'error');
+    const warnings = this.issues.filter(issue => issue.severity === 'warning');
+    const failedRules = new Set(this.issues.map(issue => issue.ruleId));
+    const enabled = Object.values(this.severities).filter(severity => severity !== 'off').length;
+    const passed = enabled - failedRules.size;
+
     console.log('\n' + '─'.repeat(60));
-    
-    // Show passes (collapsed by default in real output)
-    if (this.passes.length > 0) {
-      console.log(`${colors.green}✓ ${this.passes.length} checks passed${colors.reset}`);
+
+    if (passed > 0) {
+      console.log(`${colors.green}✓ ${passed} checks passed${colors.reset}`);
     }
-    
+
+    const format = issue => `${colors.magenta}[${issue.ruleId}]${colors.reset} ${issue.message} ${colors.blue}(line ${issue.line})${colors.reset}`;
+
     // Show warnings
-    if (this.warnings.length > 0) {
-      console.log(`\n${colors.yellow}⚠ Warnings (${this.warnings.length}):${colors.reset}`);
-      this.warnings.forEach(warning => {
-        console.log(`  ${colors.yellow}⚠${colors.reset} ${warning}`);
+    if (warnings.length > 0) {
+      console.log(`\n${colors.yellow}⚠ Warnings (${warnings.length}):${colors.reset}`);
+      warnings.forEach(warning => {
+        console.log(`  ${colors.yellow}⚠${colors.reset} ${format(warning)}`);
       });
     }
-    
+
     // Show errors
-    if (this.errors.length > 0) {
-      console.log(`\n${colors.red}✗ Errors (${this.errors.length}):${colors.reset}`);
-      this.errors.forEach(error => {
-        console.log(`  ${colors.red}✗${colors.reset} ${error}`);
+    if (errors.length > 0) {
+      console.log(`\n${colors.red}✗ Errors (${errors.length}):${colors.reset}`);
+      errors.forEach(error => {
+        console.log(`  ${colors.red}✗${colors.reset} ${format(error)}`);
       });
     }
-    
+
     // Summary
-    const status = this.errors.length === 0 ? 
-      `${colors.green}${colors.bold}PASSED${colors.reset}` : 
+    const status = errors.length === 0 ?
+      `${colors.green}${colors.bold}PASSED${colors.reset}` :
       `${colors.red}${colors.bold}FAILED${colors.reset}`;
-    
+
     console.log(`\n${colors.bold}Status: ${status}`);
   }
 }
 
-// Main execution
-function main() {
-  const validator = new SEOValidator();
-  const htmlFiles = [];
-  
-  // Find all HTML files
-  const rootDir = process.cwd();
-  const files = fs.readdirSync(rootDir);
-  
-  files.forEach(file => {
-    if (file.endsWith('.html') && !file.startsWith('_')) {
-      htmlFiles.push(path.join(rootDir, file));
-    }
-  });
-  
-  // Also check templates directory if it exists
-  const templatesDir = path.join(rootDir, 'templates');
-  if (fs.existsSync(templatesDir)) {
-    const templateFiles = fs.readdirSync(templatesDir);
-    templateFiles.forEach(file => {
-      if (file.endsWith('.html')) {
-        htmlFiles.push(path.join(templatesDir, file));
+function hasErrors(result) {
+  return result.issues.some(issue => issue.severity === 'error');
+}
+
+function summarize(results) {
+  const issues = results.flatMap(result => result.issues);
+  return {
+    files: results.length,
+    passed: results.filter(result => !hasErrors(result)).length,
+    failed: results.filter(hasErrors).length,
+    errors: issues.filter(issue => issue.severity === 'error').length,
+    warnings: issues.filter(issue => issue.severity === 'warning').length
+  };
+}
+
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function formatJson(results) {
+  return JSON.stringify({ summary: summarize(results), results }, null, 2);
+}
+
+// One test suite per page and one test case per rule; failed errors are
+// failures, warnings are listed in the test case's system-out and rules
+// switched off for the page are skipped
+function formatJunit(results, rules) {
+  const ruleIds = Object.keys(rules);
+  const failedRules = result => new Set(
+    result.issues.filter(issue => issue.severity === 'error').map(issue => issue.ruleId)
+  ).size;
+  const totalFailures = results.reduce((total, result) => total + failedRules(result), 0);
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<testsuites name="validate-seo" tests="${results.length * ruleIds.length}" failures="${totalFailures}">`
+  ];
+
+  results.forEach(result => {
+    const failures = failedRules(result);
+    lines.push(`  <testsuite name="${escapeXml(result.file)}" tests="${ruleIds.length}" failures="${failures}" skipped="${result.disabled.length}">`);
+    ruleIds.forEach(ruleId => {
+      const issues = result.issues.filter(issue => issue.ruleId === ruleId);
+      const testcase = `<testcase name="${escapeXml(ruleId)}" classname="${escapeXml(result.file)}"`;
+      if (result.disabled.includes(ruleId)) {
+        lines.push(`    ${testcase}><skipped/></testcase>`);
+        return;
+      }
+      if (issues.length === 0) {
+        lines.push(`    ${testcase}/>`);
+        return;
+      }
+      lines.push(`    ${testcase}>`);
+      const details = issues.map(issue => `${result.file}:${issue.line}: ${issue.message}`).join('\n');
+      if (issues[0].severity === 'error') {
+        lines.push(`      <failure message="${escapeXml(issues[0].message)}" type="${ruleId}">${escapeXml(details)}</failure>`);
+      } else {
+        lines.push(`      <system-out>${escapeXml(details)}</system-out>`);
       }
+      lines.push('    </testcase>');
     });
+    lines.push('  </testsuite>');
+  });
+
+  lines.push('</testsuites>');
+  return lines.join('\n');
+}
+
+/**
+ * Where the built `file` (relative to `rootDir`) and its line `line` come
+ * from in the repository, as `{ uri, line }`: pages/ for a rendered page in
+ * any locale, otherwise the file at the same path, which the build copies
+ * as-is. A line of a rendered page maps to the source line with the same
+ * content, or to the front matter when the layout generated it.
+ */
+function getSourceLocation(rootDir, file, line, pages = new Set(listPages())) {
+  const builtFile = file.split(path.sep).join('/');
+  const { defaultLocale, locales } = loadLocales();
+  const [first, ...rest] = builtFile.split('/');
+  const isLocaleDir = locales.some(locale => locale.code === first && locale.code !== defaultLocale);
+  const page = isLocaleDir ? rest.join('/') : builtFile;
+
+  if (!pages.has(page)) return { uri: builtFile, line };
+  const uri = `pages/${page}`;
+  // Translated lines can't match the English source
+  if (isLocaleDir) return { uri, line: 1 };
+
+  const builtLine = (fs.readFileSync(path.join(rootDir, file), 'utf8').split('\n')[line - 1] || '').trim();
+  const sourceLine = builtLine
+    ? fs.readFileSync(path.join(ROOT_DIR, uri), 'utf8').split('\n').findIndex(candidate => candidate.trim() === builtLine)
+    : -1;
+  return { uri, line: sourceLine + 1 || 1 };
+}
+
+function formatSarif(results, rootDir, rules) {
+  const ruleIds = Object.keys(rules);
+  const pages = new Set(listPages());
+
+  return JSON.stringify({
+    $schema: 'https://json.schemastore.org/sarif-2.1.0.json',
+    version: '2.1.0',
+    runs: [{
+      tool: {
+        driver: {
+          name: 'validate-seo',
+          informationUri: 'https://olocus.com',
+          rules: ruleIds.map(id => ({
+            id,
+            shortDescription: { text: rules[id].description },
+            defaultConfiguration: { level: rules[id].severity }
+          }))
+        }
+      },
+      results: results.flatMap(result => result.issues.map(issue => {
+        const source = getSourceLocation(rootDir, result.file, issue.line, pages);
+        const builtFile = path.relative(ROOT_DIR, path.join(rootDir, result.file)).split(path.sep).join('/');
+        return {
+          ruleId: issue.ruleId,
+          ruleIndex: ruleIds.indexOf(issue.ruleId),
+          level: issue.severity,
+          message: { text: `${issue.message} (${builtFile}:${issue.line})` },
+          locations: [{
+            physicalLocation: {
+              artifactLocation: { uri: source.uri },
+              region: { startLine: source.line }
+            }
+          }]
+        };
+      }))
+    }]
+  }, null, 2);
+}
+
+// Files under `dir` that the config's include globs match and its ignore
+// globs don't, as paths relative to `rootDir`
+function listHtmlFiles(rootDir, config, dir = '') {
+  return fs.readdirSync(path.join(rootDir, dir), { withFileTypes: true })
+    .flatMap(entry => {
+      const relative = path.join(dir, entry.name);
+      if (entry.isDirectory()) return listHtmlFiles(rootDir, config, relative);
+      return matchesGlob(relative, config.include) && !matchesGlob(relative, config.ignore) ? [relative] : [];
+    })
+    .sort();
+}
+
+/**
+ * Built pages affected by the files staged in git, relative to the site
+ * directory: a page source in pages/ maps to its copy in every locale and a
+ * static page to itself. Staged layout, translation, sitemap or validator
+ * changes can affect any page, so they return null for "all pages".
+ */
+function getStagedPages() {
+  const staged = execFileSync('git', ['diff', '--cached', '--name-only', '--diff-filter=ACMR'], {
+    cwd: ROOT_DIR,
+    encoding: 'utf8'
+  }).split('\n').filter(Boolean);
+
+  if (staged.some(file => SITE_WIDE_SOURCES.some(pattern => matchesGlob(file, pattern)))) {
+    return null;
   }
-  
-  console.log(`${colors.blue}${colors.bold}SEO & AI Bot Optimization Validator${colors.reset}`);
-  console.log(`${colors.blue}Found ${htmlFiles.length} HTML files to validate${colors.reset}`);
-  
-  let allPassed = true;
-  const results = [];
-  
-  htmlFiles.forEach(file => {
-    const passed = validator.validateFile(file);
-    results.push({ file: path.basename(file), passed });
-    if (!passed) allPassed = false;
+
+  const { defaultLocale, locales } = loadLocales();
+  const localeDirs = locales.map(locale => (locale.code === defaultLocale ? '' : locale.code));
+  const pages = new Set();
+  staged.forEach(file => {
+    if (file.startsWith('pages/') && file.endsWith('.html')) {
+      const page = file.slice('pages/'.length);
+      localeDirs.forEach(dir => pages.add(path.join(dir, page)));
+    } else if (!file.includes('/') && file.endsWith('.html')) {
+      pages.add(file);
+    }
   });
-  
+  return [...pages];
+}
+
+function parseArgs(argv) {
+  const options = { format: 'text', dir: 'dist', config: CONFIG_FILE, staged: false };
+  argv.forEach(arg => {
+    if (arg.startsWith('--format=')) {
+      options.format = arg.slice('--format='.length);
+    } else if (arg.startsWith('--config=')) {
+      options.config = path.resolve(arg.slice('--config='.length));
+    } else if (arg === '--staged') {
+      options.staged = true;
+    } else if (!arg.startsWith('--')) {
+      options.dir = arg;
+    }
+  });
+  return options;
+}
+
+// Main execution
+function main() {
+  const { format, dir, config: configFile, staged } = parseArgs(process.argv.slice(2));
+  if (!FORMATS.includes(format)) {
+    console.error(`${colors.red}❌ Unknown format "${format}". Use one of: ${FORMATS.join(', ')}${colors.reset}`);
+    process.exit(1);
+  }
+
+  // Validate the built pages, which carry the layout's meta tags
+  const rootDir = path.resolve(dir);
+  if (!fs.existsSync(rootDir)) {
+    console.error(`${colors.red}❌ ${path.relative(process.cwd(), rootDir)}/ not found. Run: node scripts/build-site.js${colors.reset}`);
+    process.exit(1);
+  }
+
+  let config;
+  try {
+    config = loadConfig(configFile);
+  } catch (error) {
+    console.error(`${colors.red}❌ ${error.message}${colors.reset}`);
+    process.exit(1);
+  }
+
+  const text = format === 'text';
+  const validator = new SEOValidator({ sitemap: loadSitemap(path.join(rootDir, 'sitemap.xml')), log: text, config });
+  let htmlFiles = listHtmlFiles(rootDir, config);
+
+  if (staged) {
+    const stagedPages = getStagedPages();
+    if (stagedPages) {
+      htmlFiles = htmlFiles.filter(file => stagedPages.includes(file));
+    }
+    if (htmlFiles.length === 0 && text) {
+      console.log(`${colors.green}No staged pages to validate${colors.reset}`);
+      return;
+    }
+  }
+
+  if (text) {
+    console.log(`${colors.blue}${colors.bold}SEO & AI Bot Optimization Validator${colors.reset}`);
+    console.log(`${colors.blue}Found ${htmlFiles.length} HTML files to validate${colors.reset}`);
+  }
+
+  const results = htmlFiles.map(file => validator.validateFile(path.join(rootDir, file), file));
+  const allPassed = !results.some(hasErrors);
+
+  if (format === 'json') {
+    console.log(formatJson(results));
+  } else if (format === 'junit') {
+    console.log(formatJunit(results, validator.rules));
+  } else if (format === 'sarif') {
+    console.log(formatSarif(results, rootDir, validator.rules));
+  }
+
+  // exitCode rather than exit(), which can cut off a report written to a pipe
+  if (!text) {
+    process.exitCode = allPassed ? 0 : 1;
+    return;
+  }
+
   // Final summary
   console.log('\n' + '='.repeat(60));
   console.log(`${colors.bold}VALIDATION SUMMARY${colors.reset}`);
   console.log('='.repeat(60));
-  
-  const passedCount = results.filter(r => r.passed).length;
-  const failedCount = results.filter(r => !r.passed).length;
-  
+
+  const summary = summarize(results);
+
   results.forEach(result => {
-    const status = result.passed ? 
-      `${colors.green}✓${colors.reset}` : 
-      `${colors.red}✗${colors.reset}`;
+    const status = hasErrors(result) ?
+      `${colors.red}✗${colors.reset}` :
+      `${colors.green}✓${colors.reset}`;
     console.log(`${status} ${result.file}`);
   });
-  
+
   console.log('\n' + '-'.repeat(60));
-  console.log(`Total: ${passedCount} passed, ${failedCount} failed`);
-  
+  console.log(`Total: ${summary.passed} passed, ${summary.failed} failed (${summary.errors} errors, ${summary.warnings} warnings)`);
+
   if (allPassed) {
     console.log(`\n${colors.green}${colors.bold}🎉 All pages meet SEO standards!${colors.reset}`);
     process.exit(0);
@@ -350,4 +871,6 @@ function main() {
 // Run the validator
 if (require.main === module) {
   main();
-}
\ No newline at end of file
+}
+
+module.exports = { SEOValidator, RULES, DEFAULT_CONFIG, createRules, loadConfig, loadSitemap, getPageUrl };
@@ -1,60 +1,113 @@
 // Service Worker for Olocus PWA
-const CACHE_NAME = 'olocus-v6'; // Fixed mobile search functionality
-const urlsToCache = [
-  '/',
-  '/favicon.ico',
-  '/css/common.css',
-  '/js/load-components.js',
-  '/js/search.js',
-  '/images/olocus-icon.svg',
-  '/images/olocus-brandmark-dark.svg',
-  '/index.html',
-  '/about.html',
-  '/technology.html',
-  '/vision.html',
-  '/enterprise.html',
-  '/privacy.html',
-  '/terms.html',
-  '/manifest.json',
-  '/header.html',
-  '/footer.html'
+//
+// Requests are routed to a caching strategy by type:
+//   - Files in the precache manifest: served from the precache
+//   - HTML navigations: network-first with a timeout, so visitors always get the
+//     latest page when online and the last copy (or /offline.html) when not
+//   - Images and the content-hashed /docs/assets bundles: cache-first with expiry
+//   - Other CSS, JS and JSON: stale-while-revalidate
+// The manifest (scripts/build-precache-manifest.js) lists the app shell with a
+// content hash per file. Editing any of them changes the manifest, which makes
+// the browser install a new worker that downloads only the changed files.
+importScripts('/precache-manifest.js');
+
+const PRECACHE = self.__PRECACHE_MANIFEST;
+const PRECACHE_NAME = 'olocus-precache';
+const OFFLINE_URL = '/offline';
+
+const RUNTIME_CACHES = {
+  pages: 'olocus-pages',
+  assets: 'olocus-assets',
+  images: 'olocus-images',
+  docsBundles: 'olocus-docs-bundles'
+};
+
+// Pages are listed under their clean URLs; /about.html and /about/ find /about
+function normalizePath(pathname) {
+  const path = pathname.replace(/\/index\.html$/, '/').replace(/\.html$/, '');
+  return path.length > 1 ? path.replace(/\/$/, '') : path;
+}
+
+const precacheEntries = new Map(PRECACHE.entries.map(entry => [normalizePath(entry.url), entry]));
+
+// The revision is part of the cache key, so unchanged files keep their entry across deploys
+function getPrecacheKey(entry) {
+  return new URL(`${entry.url}?__revision=${entry.revision}`, self.location.origin).href;
+}
+
+const NETWORK_TIMEOUT_MS = 3000;
+const DAY_SECONDS = 24 * 60 * 60;
+// Stored alongside runtime cache entries so cache-first routes can expire them
+const CACHED_AT_HEADER = 'x-sw-cached-at';
+
+// First matching route wins; unmatched requests go straight to the network
+const routes = [
+  {
+    match: ({ request, url }) => request.mode !== 'navigate' && !url.search && precacheEntries.has(normalizePath(url.pathname)),
+    handle: ({ event, url }) => matchPrecache(url.pathname).then(cached => cached || fetch(event.request))
+  },
+  {
+    match: ({ request }) => request.mode === 'navigate',
+    handle: ({ event }) => networkFirst(event, { cacheName: RUNTIME_CACHES.pages, maxEntries: 50, timeoutMs: NETWORK_TIMEOUT_MS })
+      .catch(() => offlineFallback(event.request))
+  },
+  {
+    // Docusaurus bundles carry a content hash in the file name and never change
+    match: ({ url }) => /^\/docs\/assets\/(js|css)\/.+\.[0-9a-f]{8}\.(js|css)$/.test(url.pathname),
+    handle: ({ event }) => cacheFirst(event, { cacheName: RUNTIME_CACHES.docsBundles, maxEntries: 200, maxAgeSeconds: 30 * DAY_SECONDS })
+  },
+  {
+    match: ({ request, url }) => request.destination === 'image' || /\.(png|jpe?g|gif|svg|webp|avif|ico)$/.test(url.pathname),
+    handle: ({ event }) => cacheFirst(event, { cacheName: RUNTIME_CACHES.images, maxEntries: 60, maxAgeSeconds: 30 * DAY_SECONDS })
+  },
+  {
+    match: ({ request, url }) => ['style', 'script'].includes(request.destination) || /\.(css|js|json)$/.test(url.pathname),
+    handle: ({ event }) => staleWhileRevalidate(event, { cacheName: RUNTIME_CACHES.assets })
+  }
 ];
 
-// Install event - cache resources
+// Install event - download precache entries that aren't cached at their current revision.
+// A failed download fails the install, so a half-updated shell never activates.
 self.addEventListener('install', event => {
   event.waitUntil(
-    caches.open(CACHE_NAME)
-      .then(cache => {
-        console.log('Opened cache');
-        return cache.addAll(urlsToCache);
-      })
-      .catch(error => {
-        console.error('Cache installation failed:', error);
-      })
+    caches.open(PRECACHE_NAME).then(cache =>
+      Promise.all(PRECACHE.entries.map(entry => {
+        const key = getPrecacheKey(entry);
+        return cache.match(key).then(cached => {
+          if (cached) return;
+          return fetch(entry.url, { cache: 'no-cache' }).then(response => {
+            if (!response.ok) {
+              throw new Error(`Precache of ${entry.url} failed: HTTP ${response.status}`);
+            }
+            return copyResponse(response).then(copy => cache.put(key, copy));
+          });
+        });
+      }))
+    ).then(() => {
+      console.log(`Precache ${PRECACHE.version} ready (${PRECACHE.entries.length} files)`);
+    })
   );
 });
 
-// Fetch event - serve from cache when possible
+// Fetch event - route same-origin GET requests to their caching strategy
 self.addEventListener('fetch', event => {
-  event.respondWith(
-    caches.match(event.request)
-      .then(response => {
-        // Return cached version or fetch from network
-        return response || fetch(event.request);
-      })
-      .catch(() => {
-        // Offline fallback
-        if (event.request.mode === 'navigate') {
-          return caches.match('/index.html');
-        }
-      })
-  );
+  const { request } = event;
+  if (request.method !== 'GET') return;
+
+  const url = new URL(request.url);
+  if (url.origin !== self.location.origin) return;
+
+  const route = routes.find(candidate => candidate.match({ request, url }));
+  if (route) {
+    event.respondWith(route.handle({ event, url }));
+  }
 });
 
-// Activate event - clean up old caches
+// Activate event - drop caches from old worker versions and superseded precache revisions
 self.addEventListener('activate', event => {
-  const cacheWhitelist = [CACHE_NAME];
-  
+  const cacheWhitelist = [PRECACHE_NAME, ...Object.values(RUNTIME_CACHES)];
+  const currentKeys = new Set(PRECACHE.entries.map(getPrecacheKey));
+
   event.waitUntil(
     caches.keys().then(cacheNames => {
       return Promise.all(
@@ -64,7 +117,13 @@ self.addEventListener('activate', event => {
           }
         })
       );
-    })
+    }).then(() => caches.open(PRECACHE_NAME)).then(cache =>
+      cache.keys().then(requests => Promise.all(
+        requests
+          .filter(request => !currentKeys.has(request.url))
+          .map(request => cache.delete(request))
+      ))
+    )
   );
 });
 
@@ -73,4 +132,120 @@ self.addEventListener('message', event => {
   if (event.data && event.data.type === 'SKIP_WAITING') {
     self.skipWaiting();
   }
-});
\ No newline at end of file
+});
+
+// Try the network, giving up after timeoutMs; fall back to the runtime or precached copy
+function networkFirst(event, { cacheName, maxEntries, timeoutMs }) {
+  const { request } = event;
+  const network = fetch(request).then(response => {
+    if (response.ok) {
+      event.waitUntil(
+        putInCache(cacheName, request, response.clone()).then(() => trimCache(cacheName, maxEntries))
+      );
+    }
+    return response;
+  });
+
+  // The losing request may still fail later; that is expected, not an error
+  network.catch(() => {});
+  const timeout = new Promise((resolve, reject) => {
+    setTimeout(() => reject(new Error('Network timeout')), timeoutMs);
+  });
+
+  return Promise.race([network, timeout]).catch(() =>
+    matchCached(request).then(cached => cached || network)
+  );
+}
+
+// Serve the cached copy immediately and refresh it in the background
+function staleWhileRevalidate(event, { cacheName }) {
+  const { request } = event;
+  const network = fetch(request).then(response => {
+    if (response.ok) {
+      return putInCache(cacheName, request, response.clone()).then(() => response);
+    }
+    return response;
+  });
+
+  return matchCached(request).then(cached => {
+    if (cached) {
+      event.waitUntil(network.catch(() => {}));
+      return cached;
+    }
+    return network;
+  });
+}
+
+// Serve from cache while the entry is younger than maxAgeSeconds
+function cacheFirst(event, { cacheName, maxEntries, maxAgeSeconds }) {
+  const { request } = event;
+  return caches.open(cacheName).then(cache =>
+    cache.match(request).then(cached => {
+      if (cached && !isExpired(cached, maxAgeSeconds)) {
+        return cached;
+      }
+      return fetch(request)
+        .then(response => {
+          if (response.ok) {
+            event.waitUntil(
+              putInCache(cacheName, request, response.clone()).then(() => trimCache(cacheName, maxEntries))
+            );
+          }
+          return response;
+        })
+        // An expired copy is still better than nothing when offline
+        .catch(error => cached || matchCached(request).then(precached => {
+          if (precached) return precached;
+          throw error;
+        }));
+    })
+  );
+}
+
+// Runtime caches first, then the precached copy of the same path
+function matchCached(request) {
+  return caches.match(request).then(response => response || matchPrecache(new URL(request.url).pathname));
+}
+
+function matchPrecache(pathname) {
+  const entry = precacheEntries.get(normalizePath(pathname));
+  if (!entry) return Promise.resolve(undefined);
+  return caches.open(PRECACHE_NAME).then(cache => cache.match(getPrecacheKey(entry)));
+}
+
+function offlineFallback(request) {
+  return matchCached(request).then(cached => cached || matchPrecache(OFFLINE_URL));
+}
+
+function putInCache(cacheName, request, response) {
+  return copyResponse(response, { [CACHED_AT_HEADER]: String(Date.now()) })
+    .then(copy => caches.open(cacheName).then(cache => cache.put(request, copy)));
+}
+
+// A fresh Response drops the "redirected" flag (clean-URL hosts redirect *.html),
+// which browsers refuse to serve for navigations
+function copyResponse(response, extraHeaders = {}) {
+  return response.blob().then(body => {
+    const headers = new Headers(response.headers);
+    Object.keys(extraHeaders).forEach(name => headers.set(name, extraHeaders[name]));
+    return new Response(body, {
+      status: response.status,
+      statusText: response.statusText,
+      headers
+    });
+  });
+}
+
+function isExpired(response, maxAgeSeconds) {
+  const cachedAt = parseInt(response.headers.get(CACHED_AT_HEADER), 10);
+  return !cachedAt || Date.now() - cachedAt > maxAgeSeconds * 1000;
+}
+
+// Caches keep insertion order, so the oldest entries are evicted first
+function trimCache(cacheName, maxEntries) {
+  return caches.open(cacheName).then(cache =>
+    cache.keys().then(keys => Promise.all(
+      keys.slice(0, Math.max(0, keys.length - maxEntries)).map(key => cache.delete(key))
+    ))
+  );
+}